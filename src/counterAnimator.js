@@ -28,23 +28,30 @@
  *  - Multiple easing functions with visual effects
  *  - Automatic intersection observer for scroll-triggered animations
  *  - Comprehensive localization support (Angola, Brazil, US, Europe)
- *  - Number abbreviation for large values (1K, 1M, 1B)
+ *  - Number abbreviation for large values with configurable scales (1K, 1M, 1 milhão, 1L, 1万, 1G)
  *  - Custom formatting with separators and decimal places
- *  - Visual effects during animation (scale, color interpolation)
+ *  - Configurable visual effects during animation (pulse, glow, blur-in, color-shift, custom)
  *  - Preset configurations for common use cases
  *
  * Structure:
  *
  *  - Configuration Management (defaults, number formatting options)
- *  - Easing Functions (linear, bounce, elastic, dramatic, wave effects)
- *  - Element Setup (automatic detection and configuration)
+ *  - Easing Functions (library effects, Penner set, cubic-bezier/steps/spring factories, registry)
+ *  - Element Setup (automatic detection, configuration, dynamic registration and SSR hydration)
  *  - Intersection Observer (scroll-triggered animations)
- *  - Animation Engine (requestAnimationFrame based)
+ *  - Watch Mode (MutationObserver based discovery)
+ *  - Animation Engine (shared requestAnimationFrame ticker, time or spring physics mode)
  *  - Number Parsing (intelligent format detection)
- *  - Formatting System (custom and preset formats)
- *  - Visual Effects (scale, color interpolation)
- *  - Utility Methods (reset, pause, destroy)
+ *  - Formatting System (custom, preset and Intl.NumberFormat formats)
+ *  - Renderers (text, template, odometer, SVG, attribute, CSS variable, form values, registry)
+ *  - Progress Companion (SVG ring, bar or CSS variable in sync with the counter)
+ *  - Visual Effects (presets, color pairs, class toggling, custom functions)
+ *  - Playback Control (pause, resume, stop, seek)
+ *  - Accessibility (prefers-reduced-motion, aria-live/aria-busy)
+ *  - Debug Mode (categorized console diagnostics, on-page overlay)
+ *  - Utility Methods (reset, destroy)
  *  - Factory Functions (createCounterAnimator, animateCounters)
+ *  - Headless Core (parseCounterValue, formatCounterValue, tween) usable in Node without a DOM
  *
  * Dependencies:
  *
@@ -66,7 +73,8 @@ class CounterAnimator {
      * PURPOSE OF THE FUNCTION: Initializes the CounterAnimator instance with configuration options and sets up the animation system.
      * DESCRIPTION:
      *    - Creates a new CounterAnimator instance with merged default and custom options
-     *    - Sets up easing functions with enhanced visual effects and performance optimizations
+     *    - Validates the options and deep-merges nested groups (numberFormat, observerOptions, ...) with the defaults
+     *    - Prepares instance-only easing functions (global ones live in getEasings())
      *    - Initializes internal state management for animated elements and observers
      *    - Automatically starts the system if autoStart is enabled
      *    - Configures number formatting options with intelligent defaults
@@ -90,27 +98,76 @@ class CounterAnimator {
          selector: '.counter', // CSS element selector
          duration: 2000, // Animation duration in ms
          effect: 'easeOutCubic', // Effect type
+         mode: 'time', // 'time' (duration + easing) or 'spring' (physics, duration derived from motion)
+         physics: {
+             stiffness: 170, // Spring stiffness
+             damping: 26, // Friction
+             mass: 1, // Mass of the moving value
+             restDelta: null, // Settle distance (defaults to half of the last displayed decimal)
+             restSpeed: null // Settle speed per second (defaults to 10 × restDelta)
+         },
          startValue: 0, // Initial value
+         hydrate: false, // Server-rendered values: show startValue before the first paint and reserve the final width
+         lockWidth: false, // Lock the width of the widest value (prefix and suffix included) and use tabular numerals while counting
+         figureSpaces: false, // With lockWidth, pad shorter values with figure spaces to the length of the final value
          delay: 0, // Delay between elements
+         fps: null, // Frame-rate cap (ex: 30 on low-power devices), null for the display rate
+         reducedMotion: 'auto', // 'auto' (follow prefers-reduced-motion), 'always', 'never'
+         reducedMotionFade: 0, // Fade-in of the final value (ms) when motion is reduced, 0 jumps straight to it
+         ariaLive: 'polite', // aria-live for counters without one ('polite', 'assertive'), false leaves ARIA untouched
+         visualEffect: 'pulse', // false, 'pulse', 'glow', 'blur-in', 'color-shift', { from, to, className } or (element, progress, value) => styles
+         renderer: 'text', // 'text', 'template', 'odometer', 'svg', 'attribute', 'css-var', 'value', a renderer object or function
+         template: null, // Markup of the template renderer (ex: '<span class="cur">Kz</span> {value}')
+         renderTarget: null, // Attribute (attribute renderer) or custom property (css-var renderer)
+         odometer: {
+             duration: 300, // Roll time (ms) of a digit column
+             easing: 'ease-out' // CSS easing of the roll
+         },
+         progressTarget: null, // Ring/bar tied to the counter (element or selector searched around the counter)
+         progressType: 'auto', // 'auto', 'ring' (SVG stroke), 'bar' (width), 'css-var' (--counter-progress)
+         progressMin: 0, // Value shown as an empty ring/bar
+         progressMax: 100, // Value shown as a full ring/bar
+         trend: {
+             enabled: false, // Mark value changes (animateTo, bind) as up/down
+             classes: { up: 'counter-trend-up', down: 'counter-trend-down' }, // Classes added per direction (null for none)
+             glyphs: null, // Prepended to the prefix per direction (ex: { up: '▲ ', down: '▼ ' })
+             hold: 2000 // Time (ms) the trend stays after the animation ends, 0 keeps it until the next change
+         },
          formatNumber: true, // format numbers (1,000)
             
          // Number formatting options
          numberFormat: {
-             style: 'standard', // 'standard', 'currency', 'percent'
+             style: 'standard', // 'standard', 'currency', 'percent', 'unit'
              locale: 'pt-AO', // Location
+             formatter: 'auto', // 'auto', 'manual', 'intl' - 'auto' uses Intl for non-standard styles/notations
+             currency: 'AOA', // ISO 4217 currency code (style 'currency')
+             currencyDisplay: 'symbol', // 'symbol', 'narrowSymbol', 'code', 'name'
+             unit: null, // Intl unit identifier (style 'unit', ex: 'kilometer')
+             unitDisplay: 'short', // 'short', 'narrow', 'long'
+             notation: 'standard', // 'standard', 'compact', 'scientific', 'engineering'
+             compactDisplay: 'short', // 'short', 'long'
+             signDisplay: 'auto', // 'auto', 'always', 'exceptZero', 'never'
+             minimumFractionDigits: null, // Overrides decimals/showDecimals with Intl
+             maximumFractionDigits: null, // Overrides decimals with Intl
              thousandsSeparator: ' ', // Thousands separator (' ', ',', '.')
              decimalSeparator: ',', // Decimal separator (',', '.')
              decimals: 0, // Number of decimal places
              showDecimals: false, // Show decimals even if it is 0
              abbreviate: false, // Abbreviate large numbers (1M, 1K, etc.)
+             abbreviationScale: 'short', // 'short', 'long', 'indian', 'east-asian', 'si', a registered name or an array of { threshold, divisor, label }
+             abbreviationDecimals: 1, // Decimal places of abbreviated values (1,5K)
+             significantDigits: null, // Round abbreviated values to significant digits instead (1,23M, 12,3M, 123M)
+             trimZeros: false, // Drop trailing zeros of abbreviated values (1K instead of 1,0K)
              abbreviations: {
                  thousand: 'K',
                  million: 'M',
                  billion: 'B',
-                 trillion: 'T'
+                 trillion: 'T',
+                 quadrillion: 'Qa'
              },
              // Configuration for decimal detection
              inputDecimalSeparator: 'auto', // 'auto', ',', '.' - separator used in HTML
+             inputLocale: null, // null (heuristics), 'auto' (use locale) or a locale ('de-CH') used to read the HTML
              smartDetection: true // Intelligent format detection
          },
             
@@ -120,53 +177,55 @@ class CounterAnimator {
          onStart: null, // Callback at the beginning
          onUpdate: null, // Callback during update
          onComplete: null, // Callback at the end
+         events: true, // Dispatch counter:* DOM events on each element
          observerOptions: {
+             root: null,
              threshold: 0.3,
              rootMargin: '0px 0px -50px 0px'
          },
          autoStart: true, // Automatically start when visible
-         triggerOnce: true // Run only once
+         triggerOnce: true, // Run only once
+         debug: false, // Log diagnostics: true for all, or categories ['parse', 'config', 'observer', 'watch', 'animation', 'frames']
+         debugOverlay: false, // Outline the counters on the page with their state
+         watch: false, // Discover added/removed counters with MutationObserver
+         watchRoot: null // Node watched in watch mode (defaults to document.body)
      };
  
-     // Merge settings
-     this.config = { ...this.defaults, ...options };
-        
-     // Easing functions available with more visual differences
-     this.easingFunctions = {
-         linear: t => t,
-         slow: t => Math.pow(t, 4), // Very slow at first
-         fast: t => 1 - Math.pow(1 - t, 0.3), // Very fast at the beginning
-         bounce: t => {
-             // More pronounced bounce effect
-             const n1 = 7.5625;
-             const d1 = 2.75;
-             if (t < 1 / d1) {
-                 return n1 * t * t;
-             } else if (t < 2 / d1) {
-                 return n1 * (t -= 1.5 / d1) * t + 0.75;
-             } else if (t < 2.5 / d1) {
-                 return n1 * (t -= 2.25 / d1) * t + 0.9375;
-             } else {
-                 return n1 * (t -= 2.625 / d1) * t + 0.984375;
-             }
-         },
-         elastic: t => {
-             // More visible elastic effect
-             if (t === 0) return 0;
-             if (t === 1) return 1;
-             const c4 = (2 * Math.PI) / 3;
-             return t < 0.5
-                 ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c4)) / 2
-                 : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c4)) / 2 + 1;
-         },
-         steps: t => Math.floor(t * 5) / 5, // Step animation
-         smooth: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2, // Soft
-         dramatic: t => t < 0.8 ? 0 : (t - 0.8) / 0.2, // Dramatic pause
-         wave: t => Math.sin(t * Math.PI * 2) * 0.1 + t // Wave effect
-     };
+     // Instance-only easing functions, falling back to the global registry (animator.easingFunctions.bounce)
+     this.easingFunctions = Object.create(CounterAnimator.getEasings());
+     this.configWarnings = new Set(); // Configuration warnings already shown
  
+     // Merge settings (nested groups such as numberFormat are merged field by field)
+     this.config = CounterAnimator.mergeConfig(this.defaults, this.validateConfig(options));
+ 
+     this.elements = new Set(); // Registered counter elements
      this.animatedElements = new Set();
+     this.animations = new Map(); // In-flight animation state per element
+     this.elementConfigs = new Map(); // Per-element overrides (data attributes)
+     this.renderedText = new WeakMap(); // Last text written by the animator per element
+     this.renderedParts = new WeakMap(); // Last prefix/value/suffix rendered per element
+     this.odometers = new WeakMap(); // Odometer renderer cells per element
+     this.templateNodes = new WeakMap(); // Value node of the template renderer per element
+     this.progressTargets = new WeakMap(); // Resolved progress ring/bar per element
+     this.displayedValues = new WeakMap(); // Last numeric value displayed per element
+     this.targetValues = new WeakMap(); // Target value per element (markup, text or animateTo())
+     this.affixes = new WeakMap(); // Prefix and suffix read from the text (or configured) per element
+     this.reservedWidths = new WeakMap(); // Inline min-width/display/font-variant-numeric replaced by the width reservation
+     this.paused = false; // Instance-wide pause flag
      this.observer = null;
+     this.mutationObserver = null;
+     this.bindings = new Map(); // Live data subscriptions per element
+     this.intlFormatters = new WeakMap(); // Cached Intl.NumberFormat per numberFormat object
+     this.pluralRules = new Map(); // Cached Intl.PluralRules per locale (plural abbreviation labels)
+     this.localeSymbols = new Map(); // Cached group/decimal symbols per input locale
+     this.ariaBusy = new WeakMap(); // aria-busy value of each element before its animation
+     this.ariaLiveAdded = new WeakMap(); // aria-live value added by setBusy() to elements that had none
+     this.effectStates = new WeakMap(); // Original inline styles/class touched by the visual effect
+     this.trends = new Map(); // Current up/down trend per element
+     this.motionQuery = null; // prefers-reduced-motion media query
+     this.handleMotionChange = null;
+     this.debugOverlay = null; // Debug overlay layer and refresh task
+     this.parseTrace = null; // Parsing decisions recorded in debug mode
         
      if (this.config.autoStart) {
          this.init();
@@ -180,10 +239,14 @@ class CounterAnimator {
      *    - Configures intersection observer for automatic animation triggering when elements become visible
      *    - Prepares the system for both manual and automatic animation execution
      *    - Handles fallback for browsers without Intersection Observer support
+     *    - Starts the mutation watcher when watch mode is enabled
+     *    - Shows the debug overlay when debugOverlay is enabled
+     *    - Does nothing without a document (Node, SSR), so instances can be created on the server
      * 
      * DEPENDENCIES:
      *    - setupElements() for DOM element configuration
      *    - setupObserver() for intersection observer setup
+     *    - setupWatcher() for watch mode
      *    - Intersection Observer API (with fallback)
      *    - DOM querying and manipulation
      * 
@@ -193,9 +256,19 @@ class CounterAnimator {
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
  init() {
+     // Headless environments (Node, SSR): nothing to set up
+     if (typeof document === 'undefined') {
+         return;
+     } 
      this.setupElements();
      if (this.config.autoStart) {
          this.setupObserver();
+     } 
+     if (this.config.watch) {
+         this.setupWatcher();
+     } 
+     if (this.config.debugOverlay) {
+         this.showDebugOverlay();
      }
  }
  
@@ -203,787 +276,4888 @@ class CounterAnimator {
      * PURPOSE OF THE FUNCTION: Configures DOM elements for counter animation by extracting and storing necessary data.
      * DESCRIPTION:
      *    - Queries DOM for elements matching the configured selector
-     *    - Extracts numeric values from element text content using intelligent parsing
-     *    - Automatically detects prefixes and suffixes from the original text
-     *    - Stores configuration data in element dataset for animation processing
+     *    - Registers every matching element through registerElement()
+     *    - Shows the start value of server-rendered counters in hydration mode
      *    - Prepares elements for both automatic and manual animation triggering
      * 
      * DEPENDENCIES:
-     *    - document.querySelectorAll for element selection
-     *    - extractNumber() for intelligent number parsing
-     *    - extractPrefix() and extractSuffix() for text analysis
-     *    - Element dataset API for data storage
+     *    - resolveElements() for element selection
+     *    - registerElement() for per-element setup
+     *    - hydrateElements() for hydration mode
      * 
      * @return void
      * 
      * @link https://developer.mozilla.org/en-US/docs/Web/API/Document/querySelectorAll
-     * @link https://developer.mozilla.org/en-US/docs/Web/API/HTMLElement/dataset
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
  setupElements() {
-     const elements = document.querySelectorAll(this.config.selector);
-     
+     const elements = this.resolveElements(this.config.selector);
      elements.forEach(element => {
-         // Extract element value
-         const text = element.textContent.trim();
-         const numericValue = this.extractNumber(text);
-         const originalText = text; 
-         // Store data in the element
-         element.dataset.originalText = originalText;
-         element.dataset.targetValue = numericValue;
-         element.dataset.animated = 'false'; 
-         // Automatically detect prefix and suffix
-         const prefix = this.config.prefix || this.extractPrefix(text);
-         const suffix = this.config.suffix || this.extractSuffix(text);
-         
-         element.dataset.prefix = prefix;
-         element.dataset.suffix = suffix;
+         this.registerElement(element);
      });
+     this.hydrateElements(elements);
  }
    
  /**
-     * PURPOSE OF THE FUNCTION: Sets up intersection observer for automatic animation triggering when elements become visible.
+     * PURPOSE OF THE FUNCTION: Registers a single DOM element as a counter and stores the data needed to animate it.
      * DESCRIPTION:
-     *    - Creates Intersection Observer to monitor element visibility in the viewport
-     *    - Automatically triggers animations when elements intersect with the viewport
-     *    - Provides fallback for browsers without Intersection Observer support
-     *    - Configures observer options for optimal triggering behavior
-     *    - Manages element observation lifecycle for performance optimization
+     *    - Reads per-element data-* overrides through parseDataAttributes()
+     *    - Combines them with an optional element configuration (data attributes take precedence)
+     *    - Reads the target value, prefix and suffix from the element text through readElementValue()
+     *    - Adds the element to the registry and to the intersection observer when active
+     *    - Logs the effective configuration in debug mode (config category)
      * 
      * DEPENDENCIES:
-     *    - Intersection Observer API (with fallback)
-     *    - animateElement() for animation execution
-     *    - Configuration options (threshold, rootMargin)
-     *    - Browser compatibility detection
+     *    - parseDataAttributes() for per-element configuration
+     *    - readElementValue() for text parsing
+     *    - Element dataset API for data storage
      * 
+     * @param {HTMLElement} element The DOM element to register
+     * @param {Object} elementConfig Optional configuration applied to this element only
      * @return void
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/API/Intersection_Observer_API
-     * @link https://developer.mozilla.org/en-US/docs/Web/API/IntersectionObserver
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/HTMLElement/dataset
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- setupObserver() {
-     if (!window.IntersectionObserver) {
-         // Fallback for unsupported browsers
-         this.animateAll();
-         return;
-     } 
-     this.observer = new IntersectionObserver((entries) => {
-         entries.forEach(entry => {
-             if (entry.isIntersecting && entry.target.dataset.animated === 'false') {
-                 this.animateElement(entry.target);
-                 
-                 if (this.config.triggerOnce) {
-                     this.observer.unobserve(entry.target);
-                 }
-             }
+ registerElement(element, elementConfig = {}) {
+     // Per-element overrides declared in the markup
+     const attributeConfig = this.parseDataAttributes(element);
+     this.elementConfigs.set(element, CounterAnimator.mergeConfig(elementConfig, attributeConfig));
+     this.readElementValue(element);
+     element.dataset.animated = 'false';
+     if (this.isDebugEnabled('config')) {
+         this.debugLog('config', `counter registered, target ${this.targetValues.get(element)}`, {
+             element,
+             overrides: this.elementConfigs.get(element),
+             config: this.resolveConfig(element),
+             ...this.affixes.get(element)
          });
-     }, this.config.observerOptions); 
-     // Observe all elements
-     document.querySelectorAll(this.config.selector).forEach(element => {
+     } 
+     
+     this.elements.add(element);
+     if (this.observer) {
          this.observer.observe(element);
-     });
+     }
  }
- 
+   
  /**
-     * PURPOSE OF THE FUNCTION: Animates a specific DOM element with counter animation using requestAnimationFrame.
+     * PURPOSE OF THE FUNCTION: Parses the current text of an element and stores its target value, prefix and suffix.
      * DESCRIPTION:
-     *    - Executes smooth counter animation for a single element using performance-optimized timing
-     *    - Applies easing functions for natural animation progression
-     *    - Updates element content in real-time during animation
-     *    - Triggers callback functions at start, update, and completion stages
-     *    - Applies visual effects during animation for enhanced user experience
-     *    - Ensures precise final value display and cleanup
+     *    - Extracts numeric values from the element text using intelligent parsing
+     *    - Uses the data-target-value attribute instead, when present and numeric (read again on every call)
+     *    - Reads the text through the renderer, so child markup (e.g. a currency <span>) is left alone
+     *    - Automatically detects prefixes and suffixes unless configured for the element
+     *    - Stores the original text in the element dataset, the target value in the targetValues map and the prefix
+     *      and suffix in the affixes map (not in data-target-value/data-prefix/data-suffix, which are user input)
+     *    - Used at registration and whenever watch mode sees the text of an idle counter change
      * 
      * DEPENDENCIES:
-     *    - requestAnimationFrame for smooth animation timing
-     *    - Easing functions for animation progression
-     *    - formatValue() for number formatting
-     *    - addVisualEffect() and removeVisualEffect() for visual enhancements
-     *    - Performance API for timing (optional)
+     *    - resolveConfig() for the element configuration
+     *    - readText() for the renderer text
+     *    - extractNumber() for intelligent number parsing
+     *    - extractPrefix() and extractSuffix() for text analysis
+     *    - Element dataset API for data storage
      * 
-     * @param {HTMLElement} element The DOM element to animate
-     * @param {Object} customConfig Optional custom configuration to override defaults
+     * @param {HTMLElement} element The DOM element to read
      * @return void
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/API/Window/requestAnimationFrame
-     * @link https://developer.mozilla.org/en-US/docs/Web/API/Performance/now
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/HTMLElement/dataset
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- animateElement(element, customConfig = {}) {
-     if (element.dataset.animated === 'true' && this.config.triggerOnce) {
-         return;
+ readElementValue(element) {
+     const config = this.resolveConfig(element);
+     // Extract element value (renderers may keep it in a child node, an attribute or a form value)
+     const text = this.readText(element, config).trim();
+     // A numeric data-target-value wins over the text
+     const declared = element.dataset.targetValue;
+     const declaredValue = declared === undefined ? undefined : this.parseAttributeValue(declared, { type: 'number' });
+     if (declared !== undefined && declaredValue === undefined) {
+         const message = `CounterAnimator: invalid value "${declared}" for data-target-value, reading the text instead`;
+         if (!this.configWarnings.has(message)) {
+             this.configWarnings.add(message);
+             console.warn(message);
+         }
      } 
-     const config = { ...this.config, ...customConfig };
-     const targetValue = parseFloat(element.dataset.targetValue);
-     const startValue = config.startValue;
-     const prefix = element.dataset.prefix || '';
-     const suffix = element.dataset.suffix || '';
+     const numericValue = declaredValue !== undefined ? declaredValue : this.extractNumber(text, config.numberFormat);
+     const originalText = text; 
+     // Store data in the element
+     element.dataset.originalText = originalText;
+     this.targetValues.set(element, numericValue); 
+     // Automatically detect prefix and suffix (non-Latin digits count as digits)
+     const latinText = this.normalizeDigits(text);
+     const prefix = config.prefix || this.extractPrefix(latinText);
+     const suffix = config.suffix || this.extractSuffix(latinText);
      
-     element.dataset.animated = 'true';
-     this.animatedElements.add(element); 
-     // Start callback
-     if (config.onStart) {
-         config.onStart(element, targetValue);
-     } 
-     const startTime = performance.now();
-     const easingFunction = this.easingFunctions[config.effect] || this.easingFunctions.easeOutCubic; 
-     const animate = (currentTime) => {
-         const elapsed = currentTime - startTime;
-         const progress = Math.min(elapsed / config.duration, 1);
-         const easedProgress = easingFunction(progress);
-         
-         const currentValue = startValue + (targetValue - startValue) * easedProgress;
-         const formattedValue = this.formatValue(currentValue, config);
-         
-         element.textContent = prefix + formattedValue + suffix; 
-         // Update callback
-         if (config.onUpdate) {
-             config.onUpdate(element, currentValue, progress);
-         } 
-         // Add visual effect during animation
-         this.addVisualEffect(element, progress); 
-         if (progress < 1) {
-             requestAnimationFrame(animate);
-         } else {
-             // Ensure accurate final value
-             const finalValue = this.formatValue(targetValue, config);
-             element.textContent = prefix + finalValue + suffix;
-             
-             // Completion callback
-             if (config.onComplete) {
-                 config.onComplete(element, targetValue);
-             } 
-             // Remove visual effect
-             this.removeVisualEffect(element);
-         }
-     }; 
-     requestAnimationFrame(animate);
+     this.affixes.set(element, { prefix, suffix });
+     this.renderedText.delete(element);
+     this.displayedValues.delete(element);
  }
    
  /**
-     * PURPOSE OF THE FUNCTION: Animates all matching elements with optional staggered delays for sequential animation.
+     * PURPOSE OF THE FUNCTION: Shows the start value of server-rendered counters before their first paint (hydration mode).
      * DESCRIPTION:
-     *    - Animates all elements matching the configured selector simultaneously or sequentially
-     *    - Applies configurable delays between elements for staggered animation effects
-     *    - Supports custom configuration overrides for batch operations
-     *    - Uses setTimeout for precise delay timing between element animations
-     *    - Ideal for creating wave-like animation effects across multiple counters
+     *    - Only touches elements with hydrate enabled that have not animated yet
+     *    - Measures the final value the server rendered first, then writes every element, so a batch costs one layout
+     *    - Reserves the width of the final value through reserveWidth(), so counting up does not shift the layout
+     *    - Renders startValue (and the progress companion) so the first animation frame continues without a flash
+     *    - Marks hydrated elements with data-hydrated="true" as a styling hook
      * 
      * DEPENDENCIES:
-     *    - document.querySelectorAll for element selection
-     *    - animateElement() for individual element animation
-     *    - setTimeout for delay management
-     *    - Configuration options (delay, customConfig)
+     *    - resolveConfig() for the element configuration
+     *    - measureWidth() and reserveWidth() for the width reservation
+     *    - renderValue() and renderProgress() for the start value
      * 
-     * @param {Object} customConfig Optional custom configuration to override defaults
+     * @param {Array} elements The registered elements to hydrate
      * @return void
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/setTimeout
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- animateAll(customConfig = {}) {
-     const elements = document.querySelectorAll(this.config.selector);
-     const config = { ...this.config, ...customConfig };
-     
-     elements.forEach((element, index) => {
-         setTimeout(() => {
-             this.animateElement(element, config);
-         }, index * config.delay);
+ hydrateElements(elements) {
+     const pending = Array.from(elements).filter(element => element.dataset.animated !== 'true' && this.resolveConfig(element).hydrate);
+     // Read phase: widths of the final values
+     const widths = pending.map(element => this.measureWidth(element));
+     // Write phase
+     pending.forEach((element, index) => {
+         const config = this.resolveConfig(element);
+         const value = config.startValue;
+         const { prefix, suffix } = this.affixes.get(element);
+         
+         this.reserveWidth(element, widths[index]);
+         this.renderValue(element, {
+             value,
+             formatted: this.formatValue(value, config),
+             progress: 0,
+             prefix,
+             suffix,
+             config
+         });
+         this.renderProgress(element, value, config);
+         this.displayedValues.set(element, value);
+         element.dataset.hydrated = 'true';
      });
  }
-   
+ 
  /**
-      * PURPOSE OF THE FUNCTION: Resets all animated counters to their original state and prepares them for re-animation.
-      * DESCRIPTION:
-      *    - Restores all elements to their original text content before animation
-      *    - Clears animation state flags to allow re-animation
-      *    - Removes visual effects applied during previous animations
-      *    - Clears internal tracking of animated elements
-      *    - Re-establishes intersection observer for automatic triggering
-      *    - Useful for dynamic content updates or page state resets
-      * 
-      * DEPENDENCIES:
-      *    - document.querySelectorAll for element selection
-      *    - removeVisualEffect() for cleanup
-      *    - Intersection Observer API for re-observation
-      *    - Element dataset management
-      * 
-      * @return void
-      * 
-      * @link https://developer.mozilla.org/en-US/docs/Web/API/IntersectionObserver/observe
-      * @author syntax serenity <fs.developerfullstack@gmail.com>
-  */
- reset() {
-      const elements = document.querySelectorAll(this.config.selector);
-      
-      elements.forEach(element => {
-          element.textContent = element.dataset.originalText || '0';
-          element.dataset.animated = 'false';
-          this.removeVisualEffect(element);
-      }); 
-      this.animatedElements.clear(); 
-      if (this.observer) {
-          elements.forEach(element => {
-              this.observer.observe(element);
-          });
-      }
+     * PURPOSE OF THE FUNCTION: Measures the content width of an element as currently laid out.
+     * DESCRIPTION:
+     *    - Reads the rendered width and removes padding and borders unless the element uses border-box sizing
+     *    - Returns null for elements that are not rendered (display: none) or without layout APIs
+     * 
+     * DEPENDENCIES:
+     *    - Element.getBoundingClientRect() for the rendered width
+     *    - getComputedStyle() for box sizing, padding and borders
+     * 
+     * @param {HTMLElement} element The element to measure
+     * @return {number|null} Returns the width in pixels or null if it cannot be measured
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/Element/getBoundingClientRect
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ measureWidth(element) {
+     if (typeof element.getBoundingClientRect !== 'function' || typeof getComputedStyle !== 'function') {
+         return null;
+     } 
+     const width = element.getBoundingClientRect().width;
+     if (!width) {
+         return null;
+     } 
+     const computed = getComputedStyle(element);
+     if (computed.boxSizing === 'border-box') {
+         return width;
+     } 
+     const edges = ['paddingLeft', 'paddingRight', 'borderLeftWidth', 'borderRightWidth']
+         .reduce((sum, property) => sum + (parseFloat(computed[property]) || 0), 0);
+     return Math.max(width - edges, 0);
  }
-   
+ 
  /**
-     * PURPOSE OF THE FUNCTION: Pauses all ongoing counter animations and maintains current state.
+     * PURPOSE OF THE FUNCTION: Reserves a minimum width on a counter so a shorter intermediate value cannot shift the layout.
      * DESCRIPTION:
-     *    - Stops all active animations while preserving current counter values
-     *    - Maintains visual effects and animation state for later resumption
-     *    - Logs pause status for debugging and user feedback
-     *    - Note: Full pause implementation requires storing requestAnimationFrame references
-     *    - Useful for user interaction or performance optimization scenarios
+     *    - Sets min-width to the given width, switching inline elements to inline-block so it applies
+     *    - Optionally switches the counter to tabular numerals (font-variant-numeric: tabular-nums)
+     *    - Remembers the inline min-width, display and font-variant-numeric (with priorities) it replaces, once per element
+     *    - Released by releaseWidth() when the animation completes, is stopped or cancelled, or the counter is reset or removed
      * 
      * DEPENDENCIES:
-     *    - console.log for status reporting
-     *    - requestAnimationFrame reference management (future enhancement)
-     *    - Animation state preservation
+     *    - getComputedStyle() for the display type
+     *    - reservedWidths WeakMap for the replaced styles
      * 
+     * @param {HTMLElement} element The counter element
+     * @param {number|null} width The width in pixels (nothing is reserved for null)
+     * @param {boolean} tabular Whether to switch to tabular numerals
      * @return void
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/API/Window/requestAnimationFrame
+     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/min-width
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- pause() {
-     // Implementação em desenvolvimento
-     console.log('Animações pausadas');
+ reserveWidth(element, width, tabular = false) {
+     if (!width || !element.style) {
+         return;
+     } 
+     const style = element.style;
+     if (!this.reservedWidths.has(element)) {
+         const saved = {};
+         ['min-width', 'display', 'font-variant-numeric'].forEach(property => {
+             saved[property] = [style.getPropertyValue(property), style.getPropertyPriority(property)];
+         });
+         this.reservedWidths.set(element, saved);
+     } 
+     if (typeof getComputedStyle === 'function' && getComputedStyle(element).display === 'inline') {
+         style.setProperty('display', 'inline-block');
+     } 
+     if (tabular) {
+         style.setProperty('font-variant-numeric', 'tabular-nums');
+     } 
+     style.setProperty('min-width', `${width}px`);
  }
-   
+ 
  /**
-     * PURPOSE OF THE FUNCTION: Completely destroys the CounterAnimator instance and cleans up all resources.
+     * PURPOSE OF THE FUNCTION: Removes the width reservation of a counter and restores its own inline styles.
      * DESCRIPTION:
-     *    - Disconnects intersection observer to stop all automatic triggering
-     *    - Clears internal tracking of animated elements to free memory
-     *    - Removes all event listeners and observers
-     *    - Prepares the instance for garbage collection
-     *    - Essential for preventing memory leaks in single-page applications
-     *    - Should be called before removing the instance or page unload
+     *    - Restores the inline min-width, display and font-variant-numeric (with priorities) replaced by reserveWidth()
+     *    - Does nothing for elements without a reservation
      * 
      * DEPENDENCIES:
-     *    - Intersection Observer API (disconnect)
-     *    - Set data structure for memory cleanup
-     *    - Browser garbage collection optimization
+     *    - reservedWidths WeakMap for the replaced styles
      * 
+     * @param {HTMLElement} element The counter element
      * @return void
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/API/IntersectionObserver/disconnect
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- destroy() {
-     if (this.observer) {
-         this.observer.disconnect();
-     }
-     this.animatedElements.clear();
+ releaseWidth(element) {
+     const saved = this.reservedWidths.get(element);
+     if (!saved) {
+         return;
+     } 
+     Object.keys(saved).forEach(property => {
+         const [value, priority] = saved[property];
+         if (value) {
+             element.style.setProperty(property, value, priority);
+         } else {
+             element.style.removeProperty(property);
+         }
+     });
+     this.reservedWidths.delete(element);
  }
    
  /**
-     * PURPOSE OF THE FUNCTION: Extracts numeric values from text content using intelligent format detection and parsing.
+     * PURPOSE OF THE FUNCTION: Locks the width of a counter for the duration of an animation (lockWidth option).
      * DESCRIPTION:
-     *    - Analyzes text content to identify and extract numeric values
-     *    - Supports multiple number formats including different decimal separators
-     *    - Uses intelligent detection for automatic format recognition
-     *    - Handles various international number formatting conventions
-     *    - Provides fallback parsing for backward compatibility
-     *    - Essential for accurate animation value calculation
+     *    - Measures the start and the final value, prefix and suffix included, and reserves the wider one
+     *    - Switches the counter to tabular numerals, so each digit change keeps the same width
+     *    - With figureSpaces, pads shorter values with figure spaces (U+2007) up to the longest of both values
+     *    - Called when an animation starts and when a spring is retargeted; the lock is released when the animation ends
      * 
      * DEPENDENCIES:
-     *    - parseNumberWithKnownFormat() for specified format parsing
-     *    - smartNumberDetection() for automatic format recognition
-     *    - Regular expressions for pattern matching
-     *    - parseFloat for numeric conversion
+     *    - formatValue() for the start and final strings
+     *    - measureValueWidth() for the layout measurement
+     *    - reserveWidth() for the min-width lock
      * 
-     * @param {string} text The text content to extract numbers from
-     * @return {number} Returns the extracted numeric value or 0 if none found
+     * @param {Object} animation The animation state object created by animateElement()
+     * @return void
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/parseFloat
+     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/font-variant-numeric
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- extractNumber(text) {
-     const cleanText = text.trim();
-     const config = this.config.numberFormat;
-     
-     // If the user specified the Decimal separator
-     if (config.inputDecimalSeparator !== 'auto') {
-         return this.parseNumberWithKnownFormat(cleanText, config.inputDecimalSeparator);
-     }
-     
-     // Intelligent automatic detection
-     if (config.smartDetection) {
-         return this.smartNumberDetection(cleanText);
-     }
-     
-     // Standard method (backward compatibility)
-     const matches = cleanText.match(/-?\d+([.,]\d+)?/);
-     return matches ? parseFloat(matches[0].replace(',', '.')) : 0;
+ lockAnimationWidth(animation) {
+     const { element, config, prefix, suffix } = animation;
+     const frames = [animation.currentValue, animation.targetValue].map(value => ({
+         value,
+         formatted: this.formatValue(value, config),
+         progress: value === animation.targetValue ? 1 : 0,
+         prefix,
+         suffix,
+         config
+     }));
+     animation.padLength = config.figureSpaces ? Math.max(...frames.map(frame => frame.formatted.length)) : 0;
+     frames.forEach(frame => {
+         frame.formatted = this.padFigures(frame.formatted, animation.padLength);
+     });
+     this.reserveWidth(element, this.measureValueWidth(element, frames), true);
  }
-   
+ 
  /**
-     * PURPOSE OF THE FUNCTION: Intelligently detects and parses number formats from text content using pattern analysis.
+     * PURPOSE OF THE FUNCTION: Measures the widest of several frames as the counter would display them, without touching it.
      * DESCRIPTION:
-     *    - Analyzes text patterns to determine the correct number format automatically
-     *    - Counts separators to distinguish between decimal and thousands separators
-     *    - Handles mixed separator scenarios with intelligent logic
-     *    - Provides robust parsing for international number formats
-     *    - Falls back to standard parsing for simple cases
-     *    - Essential for accurate number extraction without manual format specification
+     *    - Renders each frame into a hidden, absolutely positioned clone placed next to the counter, so it inherits the same font
+     *    - Clears the reserved min-width, transforms and filters of the clones, which would distort the measurement
+     *    - Reads every clone in a single layout pass and removes them right after
+     *    - Returns null when the counter is not in the page or not rendered
      * 
      * DEPENDENCIES:
-     *    - Regular expressions for separator counting
-     *    - parseWithCommaSeparator() for comma-based parsing
-     *    - parseWithDotSeparator() for dot-based parsing
-     *    - parseWithMixedSeparators() for complex scenarios
+     *    - getRenderer() for the renderer of the counter
+     *    - measureWidth() for the content width
+     *    - Node.cloneNode() and insertBefore()
      * 
-     * @param {string} text The text content to analyze for number format
-     * @return {number} Returns the parsed numeric value or 0 if parsing fails
+     * @param {HTMLElement} element The counter element
+     * @param {Array} frames The frames to measure ({ value, formatted, progress, prefix, suffix, config })
+     * @return {number|null} Returns the widest width in pixels or null if it cannot be measured
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/replace
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/Node/cloneNode
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- smartNumberDetection(text) {
-     // Remove non-numeric characters except commas, periods and signs
-     const cleanText = text.replace(/[^\d.,-]/g, '');
-     
-     // Simple cases without separators
-     if (!/[.,]/.test(cleanText)) {
-         return parseFloat(cleanText) || 0;
-     }
-     
-     // Count commas and periods
-     const commaCount = (cleanText.match(/,/g) || []).length;
-     const dotCount = (cleanText.match(/\./g) || []).length;
-     
-     // Cases with only one type of separator
-     if (commaCount > 0 && dotCount === 0) {
-         return this.parseWithCommaSeparator(cleanText);
-     }
-     
-     if (dotCount > 0 && commaCount === 0) {
-         return this.parseWithDotSeparator(cleanText);
-     }
-     
-     // Cases with both separators
-     if (commaCount > 0 && dotCount > 0) {
-         return this.parseWithMixedSeparators(cleanText);
+ measureValueWidth(element, frames) {
+     const parent = element.parentNode;
+     if (!parent || typeof element.cloneNode !== 'function') {
+         return null;
+     } 
+     const clones = frames.map(frame => {
+         const clone = element.cloneNode(true);
+         clone.removeAttribute('id');
+         clone.setAttribute('aria-hidden', 'true');
+         ['min-width', 'transform', 'filter', 'transition'].forEach(property => clone.style.removeProperty(property));
+         clone.style.setProperty('position', 'absolute');
+         clone.style.setProperty('visibility', 'hidden');
+         clone.style.setProperty('pointer-events', 'none');
+         clone.style.setProperty('font-variant-numeric', 'tabular-nums');
+         this.getRenderer(frame.config.renderer).render(clone, frame, this);
+         parent.insertBefore(clone, element);
+         return clone;
+     }); 
+     // One layout pass for all clones
+     const widths = clones.map(clone => this.measureWidth(clone)).filter(width => width);
+     clones.forEach(clone => parent.removeChild(clone));
+     return widths.length > 0 ? Math.max(...widths) : null;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Pads a formatted value with leading figure spaces up to a given length.
+     * DESCRIPTION:
+     *    - Uses the figure space (U+2007), which is as wide as a digit in fonts with tabular numerals
+     *    - Keeps values that are already long enough unchanged
+     * 
+     * DEPENDENCIES:
+     *    - String.prototype.padStart
+     * 
+     * @param {string} formattedValue The formatted value
+     * @param {number} length The length to pad to (0 disables padding)
+     * @return {string} Returns the padded value
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ padFigures(formattedValue, length) {
+     return length > 0 ? formattedValue.padStart(length, ' ') : formattedValue;
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Converts a selector, NodeList, array or single element into an array of elements.
+     * DESCRIPTION:
+     *    - Queries the document when a CSS selector string is given
+     *    - Copies NodeLists, HTMLCollections and arrays into a plain array
+     *    - Wraps a single element into an array
+     *    - Returns an empty array for empty targets
+     * 
+     * DEPENDENCIES:
+     *    - document.querySelectorAll for selector strings
+     *    - Array.from for list conversion
+     * 
+     * @param {string|NodeList|Array|HTMLElement} target The elements to resolve
+     * @return {Array} Returns an array of DOM elements
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/Document/querySelectorAll
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ resolveElements(target) {
+     if (!target) {
+         return [];
+     } 
+     if (typeof target === 'string') {
+         return Array.from(document.querySelectorAll(target));
+     } 
+     if (typeof target.length === 'number' && !target.nodeType) {
+         return Array.from(target);
+     } 
+     return [target];
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Registers counters added to the page after initialization.
+     * DESCRIPTION:
+     *    - Accepts a CSS selector, a NodeList/array or a single element
+     *    - Registers new elements with an optional configuration applied to them only
+     *    - Observes new elements so they animate when they become visible
+     *    - Animates new elements immediately when Intersection Observer is unavailable
+     *    - Validates the configuration through validateConfig()
+     *    - Updates the configuration of elements that are already registered
+     *    - Shows the start value of server-rendered counters in hydration mode
+     *    - Ideal for infinite scroll, SPA routes and other late-mounted content
+     * 
+     * DEPENDENCIES:
+     *    - resolveElements() for target resolution
+     *    - registerElement() for per-element setup
+     *    - hydrateElements() for hydration mode
+     *    - Intersection Observer API (with fallback)
+     * 
+     * @param {string|NodeList|Array|HTMLElement} target The elements to add
+     * @param {Object} config Optional configuration applied to these elements only
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/IntersectionObserver/observe
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ addElements(target, config = {}) {
+     const elementConfig = this.validateConfig(config, 'addElements() option');
+     const added = [];
+     this.resolveElements(target).forEach(element => {
+         if (this.elements.has(element)) {
+             // Already registered: only refresh its configuration
+             const current = this.elementConfigs.get(element) || {};
+             const attributeConfig = this.parseDataAttributes(element);
+             this.elementConfigs.set(element, CounterAnimator.mergeConfig(current, elementConfig, attributeConfig));
+             return;
+         } 
+         this.registerElement(element, elementConfig);
+         added.push(element);
+     }); 
+     this.hydrateElements(added);
+     // Fallback for unsupported browsers
+     if (this.config.autoStart && !this.observer) {
+         added.forEach(element => this.animateElement(element));
      }
-     
-     return 0;
  }
    
  /**
-     * PURPOSE OF THE FUNCTION: Parses numbers that use commas as separators, intelligently determining if they are decimal or thousands separators.
+     * PURPOSE OF THE FUNCTION: Unregisters counters so the instance no longer tracks or animates them.
      * DESCRIPTION:
-     *    - Analyzes comma usage patterns to determine separator function
-     *    - Handles single comma scenarios (decimal vs thousands separator)
-     *    - Uses digit count analysis to make intelligent decisions
-     *    - Supports multiple comma scenarios for thousands separators
-     *    - Provides fallback logic for edge cases
-     *    - Essential for accurate parsing of comma-based number formats
+     *    - Accepts a CSS selector, a NodeList/array or a single element
+     *    - Stops any in-flight animation, keeping the current value on screen
+     *    - Disposes live data bindings created with bind(), clears trend styling (glyph included), the width reservation
+     *      and the aria-live attribute added while animating
+     *    - Stops observing the elements and forgets their configuration and state
+     *    - Essential before removing counters from the page in long-lived applications
      * 
      * DEPENDENCIES:
-     *    - Regular expressions for comma counting
-     *    - String splitting and manipulation
-     *    - parseFloat for numeric conversion
-     *    - Digit length analysis logic
+     *    - resolveElements() for target resolution
+     *    - stop() for animation cleanup
+     *    - Intersection Observer API (unobserve)
      * 
-     * @param {string} text The text containing comma-separated numbers
-     * @return {number} Returns the parsed numeric value
+     * @param {string|NodeList|Array|HTMLElement} target The elements to remove
+     * @return void
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/split
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/IntersectionObserver/unobserve
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- parseWithCommaSeparator(text) {
-     const commaCount = (text.match(/,/g) || []).length;
-     
-     // If there is only one comma, it can be decimal or thousands
-     if (commaCount === 1) {
-         const parts = text.split(',');
-         const beforeComma = parts[0];
-         const afterComma = parts[1];
-         
-         // If the part after the comma has 1-2 digits, it is probably decimal
-         if (afterComma.length <= 2 && beforeComma.length <= 3) {
-             return parseFloat(beforeComma + '.' + afterComma);
-         }
+ removeElements(target) {
+     this.resolveElements(target).forEach(element => {
+         if (!this.elements.has(element)) {
+             return;
+         } 
+         this.stop(element);
+         this.unbind(element);
+         this.clearTrend(element, true);
+         this.releaseWidth(element);
+         this.releaseAriaLive(element);
+         if (this.observer) {
+             this.observer.unobserve(element);
+         } 
+         this.elements.delete(element);
+         this.animatedElements.delete(element);
+         this.elementConfigs.delete(element);
+     });
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Describes the data attributes that can override the instance configuration per element.
+     * DESCRIPTION:
+     *    - Maps each dataset key (data-effect → effect) to the configuration option it overrides
+     *    - Declares the value type used for validation of every attribute
+     *    - Groups number formatting attributes under the numberFormat option
+     *    - data-format resolves against getPresetFormats() (e.g. data-format="pt-br")
+     * 
+     * DEPENDENCIES:
+     *    - Static method implementation
+     *    - Object literal with attribute descriptors
+     * 
+     * @return {Object} Returns an object of attribute descriptors keyed by dataset name
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/HTML/Global_attributes/data-*
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static getAttributeOptions() {
+     return {
+         duration: { key: 'duration', type: 'time' },
+         delay: { key: 'delay', type: 'time' },
+         effect: { key: 'effect', type: 'effect' },
+         startValue: { key: 'startValue', type: 'number' },
+         hydrate: { key: 'hydrate', type: 'boolean' },
+         lockWidth: { key: 'lockWidth', type: 'boolean' },
+         figureSpaces: { key: 'figureSpaces', type: 'boolean' },
+         prefix: { key: 'prefix', type: 'string' },
+         suffix: { key: 'suffix', type: 'string' },
+         formatNumber: { key: 'formatNumber', type: 'boolean' },
+         triggerOnce: { key: 'triggerOnce', type: 'boolean' },
+         mode: { key: 'mode', type: 'enum', values: ['time', 'spring'] },
+         fps: { key: 'fps', type: 'integer', min: 1, max: 240 },
+         reducedMotion: { key: 'reducedMotion', type: 'enum', values: ['auto', 'always', 'never'] },
+         reducedMotionFade: { key: 'reducedMotionFade', type: 'time' },
+         visualEffect: { key: 'visualEffect', type: 'visualEffect' },
+         renderer: { key: 'renderer', type: 'renderer' },
+         template: { key: 'template', type: 'string' },
+         renderTarget: { key: 'renderTarget', type: 'string' },
+         progressTarget: { key: 'progressTarget', type: 'string' },
+         progressType: { key: 'progressType', type: 'enum', values: ['auto', 'ring', 'bar', 'css-var'] },
+         progressMin: { key: 'progressMin', type: 'number' },
+         progressMax: { key: 'progressMax', type: 'number' },
          
-         // If the part after the comma has 3 digits, it is probably Thousands separator
-         if (afterComma.length === 3) {
-             return parseFloat(beforeComma + afterComma);
-         }
+         // Number formatting options
+         format: { key: 'numberFormat', type: 'preset' },
+         style: { key: 'style', group: 'numberFormat', type: 'enum', values: ['standard', 'currency', 'percent', 'unit'] },
+         locale: { key: 'locale', group: 'numberFormat', type: 'locale' },
+         formatter: { key: 'formatter', group: 'numberFormat', type: 'enum', values: ['auto', 'manual', 'intl'] },
+         currency: { key: 'currency', group: 'numberFormat', type: 'currency' },
+         currencyDisplay: { key: 'currencyDisplay', group: 'numberFormat', type: 'enum', values: ['symbol', 'narrowSymbol', 'code', 'name'] },
+         unit: { key: 'unit', group: 'numberFormat', type: 'string' },
+         unitDisplay: { key: 'unitDisplay', group: 'numberFormat', type: 'enum', values: ['short', 'narrow', 'long'] },
+         notation: { key: 'notation', group: 'numberFormat', type: 'enum', values: ['standard', 'compact', 'scientific', 'engineering'] },
+         compactDisplay: { key: 'compactDisplay', group: 'numberFormat', type: 'enum', values: ['short', 'long'] },
+         signDisplay: { key: 'signDisplay', group: 'numberFormat', type: 'enum', values: ['auto', 'always', 'exceptZero', 'never'] },
+         minimumFractionDigits: { key: 'minimumFractionDigits', group: 'numberFormat', type: 'integer', min: 0, max: 20 },
+         maximumFractionDigits: { key: 'maximumFractionDigits', group: 'numberFormat', type: 'integer', min: 0, max: 20 },
+         thousandsSeparator: { key: 'thousandsSeparator', group: 'numberFormat', type: 'string' },
+         decimalSeparator: { key: 'decimalSeparator', group: 'numberFormat', type: 'separator' },
+         decimals: { key: 'decimals', group: 'numberFormat', type: 'integer', min: 0, max: 20 },
+         showDecimals: { key: 'showDecimals', group: 'numberFormat', type: 'boolean' },
+         abbreviate: { key: 'abbreviate', group: 'numberFormat', type: 'boolean' },
+         abbreviationScale: { key: 'abbreviationScale', group: 'numberFormat', type: 'abbreviationScale' },
+         abbreviationDecimals: { key: 'abbreviationDecimals', group: 'numberFormat', type: 'integer', min: 0, max: 20 },
+         significantDigits: { key: 'significantDigits', group: 'numberFormat', type: 'integer', min: 1, max: 21 },
+         trimZeros: { key: 'trimZeros', group: 'numberFormat', type: 'boolean' },
+         inputDecimalSeparator: { key: 'inputDecimalSeparator', group: 'numberFormat', type: 'enum', values: ['auto', ',', '.'] },
+         inputLocale: { key: 'inputLocale', group: 'numberFormat', type: 'locale', allowAuto: true },
+         smartDetection: { key: 'smartDetection', group: 'numberFormat', type: 'boolean' }
+     };
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Reads and validates the data-* configuration overrides declared on an element.
+     * DESCRIPTION:
+     *    - Walks the attribute descriptors returned by getAttributeOptions()
+     *    - Validates every value and ignores invalid ones with a console warning
+     *    - Applies data-format presets first so individual formatting attributes can refine them
+     *    - Returns only the options actually declared on the element
+     * 
+     * DEPENDENCIES:
+     *    - getAttributeOptions() for attribute descriptors
+     *    - parseAttributeValue() for value validation
+     *    - Element dataset API for attribute access
+     * 
+     * @param {HTMLElement} element The DOM element to read attributes from
+     * @return {Object} Returns a partial configuration object with the element overrides
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/HTMLElement/dataset
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ parseDataAttributes(element) {
+     const options = CounterAnimator.getAttributeOptions();
+     const overrides = {};
+     const numberFormat = {};
+     // Presets first, individual attributes refine them
+     const names = Object.keys(options).sort((a, b) => (b === 'format') - (a === 'format'));
+     
+     names.forEach(name => {
+         const raw = element.dataset[name];
+         if (raw === undefined) {
+             return;
+         } 
+         const spec = options[name];
+         const value = this.parseAttributeValue(raw, spec);
          
-         // Default: treat as decimal if <= 2 digits after comma
-         if (afterComma.length <= 2) {
-             return parseFloat(beforeComma + '.' + afterComma);
+         if (value === undefined) {
+             const attribute = name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+             console.warn(`CounterAnimator: invalid value "${raw}" for data-${attribute}, using the instance setting`);
+             return;
+         } 
+         if (spec.type === 'preset') {
+             Object.assign(numberFormat, value);
+         } else if (spec.group === 'numberFormat') {
+             numberFormat[spec.key] = value;
+         } else {
+             overrides[spec.key] = value;
          }
-     }
-     
-     // Multiple commas = thousands separators
-     return parseFloat(text.replace(/,/g, ''));
+     }); 
+     if (Object.keys(numberFormat).length > 0) {
+         overrides.numberFormat = numberFormat;
+     } 
+     return overrides;
  }
  
  /**
-     * PURPOSE OF THE FUNCTION: Parses numbers that use dots as separators, intelligently determining if they are decimal or thousands separators.
+     * PURPOSE OF THE FUNCTION: Converts a raw data attribute string into a typed configuration value.
      * DESCRIPTION:
-     *    - Analyzes dot usage patterns to determine separator function
-     *    - Handles single dot scenarios (decimal vs thousands separator)
-     *    - Uses digit count analysis to make intelligent decisions
-     *    - Supports multiple dot scenarios for thousands separators
-     *    - Provides fallback logic for complex dot patterns
-     *    - Essential for accurate parsing of dot-based number formats
+     *    - Parses times as milliseconds, accepting "300", "300ms" and "0.3s"
+     *    - Parses numbers, bounded integers and booleans ("true", "false" or an empty attribute)
+     *    - Checks enum values, effect names or CSS easing strings, currency codes, locales, preset format names
+     *      and registered abbreviation scale names
+     *    - Returns undefined for any value that does not pass validation
      * 
      * DEPENDENCIES:
-     *    - Regular expressions for dot counting
-     *    - String splitting and manipulation
-     *    - parseFloat for numeric conversion
-     *    - lastIndexOf for position analysis
+     *    - Regular expressions for time parsing
+     *    - getEasing() for effect validation
+     *    - getPresetFormats() for preset resolution
+     *    - getAbbreviationScales() for scale names
+     *    - Intl.getCanonicalLocales for locale validation
      * 
-     * @param {string} text The text containing dot-separated numbers
-     * @return {number} Returns the parsed numeric value
+     * @param {string} raw The raw attribute value
+     * @param {Object} spec The attribute descriptor from getAttributeOptions()
+     * @return {*} Returns the typed value or undefined if invalid
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/lastIndexOf
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/getCanonicalLocales
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- parseWithDotSeparator(text) {
-     const dotCount = (text.match(/\./g) || []).length;
+ parseAttributeValue(raw, spec) {
+     const value = raw.trim();
      
-     // If there is only one point, it can be decimal or thousands
-     if (dotCount === 1) {
-         const parts = text.split('.');
-         const beforeDot = parts[0];
-         const afterDot = parts[1];
-         
-         // If the part after the period has 1-2 digits, it is probably decimal
-         if (afterDot.length <= 2 && beforeDot.length <= 3) {
-             return parseFloat(text);
+     switch (spec.type) {
+         case 'time': {
+             const match = value.match(/^(\d+(?:\.\d+)?)(ms|s)?$/);
+             return match ? parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1) : undefined;
          }
-         
-         // If the part after the period has 3 digits, it is probably Thousands separator
-         if (afterDot.length === 3) {
-             return parseFloat(beforeDot + afterDot);
+         case 'number': {
+             const number = Number(value);
+             return value !== '' && Number.isFinite(number) ? number : undefined;
          }
-         
-         // Default: Treat as decimal
-         return parseFloat(text);
-     }
-     
-     // Multiple periods = thousands separators, last can be decimal
-     const lastDotIndex = text.lastIndexOf('.');
-     const beforeLastDot = text.substring(0, lastDotIndex).replace(/\./g, '');
-     const afterLastDot = text.substring(lastDotIndex + 1);
-     
-     // If the last part has 1-2 digits, it is probably decimal
-     if (afterLastDot.length <= 2) {
-         return parseFloat(beforeLastDot + '.' + afterLastDot);
+         case 'integer': {
+             const number = Number(value);
+             return /^\d+$/.test(value) && number >= spec.min && number <= spec.max ? number : undefined;
+         }
+         case 'boolean':
+             if (value === '' || value === 'true') return true;
+             if (value === 'false') return false;
+             return undefined;
+         case 'enum':
+             return spec.values.includes(value) ? value : undefined;
+         case 'effect':
+             return this.getEasing(value) ? value : undefined;
+         case 'visualEffect':
+             if (value === 'false' || value === 'none') return false;
+             return CounterAnimator.getVisualEffects()[value] ? value : undefined;
+         case 'renderer':
+             return Object.prototype.hasOwnProperty.call(CounterAnimator.getRenderers(), value) ? value : undefined;
+         case 'abbreviationScale':
+             return Object.prototype.hasOwnProperty.call(CounterAnimator.getAbbreviationScales(), value) ? value : undefined;
+         case 'preset':
+             return CounterAnimator.getPresetFormats()[value.toLowerCase()];
+         case 'currency':
+             return /^[A-Za-z]{3}$/.test(value) ? value.toUpperCase() : undefined;
+         case 'locale':
+             if (spec.allowAuto && value === 'auto') {
+                 return value;
+             } 
+             try {
+                 return Intl.getCanonicalLocales(value)[0];
+             } catch (error) {
+                 return undefined;
+             }
+         case 'separator':
+             return raw.length > 0 ? raw : undefined;
+         default:
+             // Strings keep surrounding spaces (e.g. data-prefix="Kz ")
+             return raw;
      }
-     
-     // Otherwise, they are all thousands separators.
-     return parseFloat(text.replace(/\./g, ''));
  }
  
  /**
-     * PURPOSE OF THE FUNCTION: Parses numbers with mixed comma and dot separators, intelligently determining decimal and thousands separators.
+     * PURPOSE OF THE FUNCTION: Lists the nested option groups that are merged field by field instead of replaced.
      * DESCRIPTION:
-     *    - Analyzes text with both comma and dot separators
-     *    - Determines decimal separator based on last occurrence position
-     *    - Handles complex international number formats
-     *    - Provides robust parsing for mixed separator scenarios
-     *    - Supports various regional formatting conventions
-     *    - Essential for accurate parsing of complex number formats
+     *    - Paths are dotted from the configuration root (e.g. 'numberFormat.abbreviations')
+     *    - Used by mergeConfig() for layering and by validateConfig() to check the fields of each group
      * 
      * DEPENDENCIES:
-     *    - lastIndexOf for position analysis
-     *    - String manipulation and replacement
-     *    - parseFloat for numeric conversion
-     *    - Position-based logic for separator determination
+     *    - Static method implementation
      * 
-     * @param {string} text The text containing mixed comma and dot separators
-     * @return {number} Returns the parsed numeric value
+     * @return {Array} Returns the dotted paths of the nested option groups
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/lastIndexOf
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- parseWithMixedSeparators(text) {
-     const lastCommaIndex = text.lastIndexOf(',');
-     const lastDotIndex = text.lastIndexOf('.');
-     
-     // Determine which is the Decimal separator (the last one)
-     if (lastCommaIndex > lastDotIndex) {
-         // Comma is decimal, periods are thousands separators
-         const beforeComma = text.substring(0, lastCommaIndex).replace(/\./g, '');
-         const afterComma = text.substring(lastCommaIndex + 1);
-         return parseFloat(beforeComma + '.' + afterComma);
-     } else {
-         // Period is decimal, commas are thousands separators
-         const beforeDot = text.substring(0, lastDotIndex).replace(/,/g, '');
-         const afterDot = text.substring(lastDotIndex + 1);
-         return parseFloat(beforeDot + '.' + afterDot);
-     }
+ static getConfigGroups() {
+     return ['numberFormat', 'numberFormat.abbreviations', 'observerOptions', 'physics', 'odometer', 'trend', 'trend.classes'];
  }
  
  /**
-     * PURPOSE OF THE FUNCTION: Parses numbers with a known decimal separator format for precise number extraction.
+     * PURPOSE OF THE FUNCTION: Lists deprecated options with the option that replaces them.
      * DESCRIPTION:
-     *    - Uses specified decimal separator to accurately parse number formats
-     *    - Automatically determines thousands separator based on decimal separator
-     *    - Handles cases with and without decimal parts
-     *    - Provides reliable parsing for known format specifications
-     *    - Essential for consistent number parsing in controlled environments
-     *    - Supports both comma and dot decimal separator conventions
+     *    - Deprecated options are still accepted, validateConfig() points to the replacement in debug mode
      * 
      * DEPENDENCIES:
-     *    - lastIndexOf for decimal separator position
-     *    - Regular expressions for thousands separator removal
-     *    - parseFloat for numeric conversion
-     *    - String manipulation for parts separation
+     *    - Static method implementation
      * 
-     * @param {string} text The text containing the number to parse
-     * @param {string} decimalSeparator The known decimal separator (',' or '.')
-     * @return {number} Returns the parsed numeric value
+     * @return {Object} Returns the replacement path keyed by deprecated option path
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/RegExp
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- parseNumberWithKnownFormat(text, decimalSeparator) {
-     const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
-     
-     // Find the last occurrence of the Decimal separator
-     const lastDecimalIndex = text.lastIndexOf(decimalSeparator);
-     
-     if (lastDecimalIndex === -1) {
-         // No Decimal separator, just remove thousands separators
-         return parseFloat(text.replace(new RegExp(`\\${thousandsSeparator}`, 'g'), ''));
-     }
-     
-     // Separate whole and decimal parts
-     const integerPart = text.substring(0, lastDecimalIndex).replace(new RegExp(`\\${thousandsSeparator}`, 'g'), '');
-     const decimalPart = text.substring(lastDecimalIndex + 1);
-     return parseFloat(integerPart + '.' + decimalPart);
+ static getDeprecatedOptions() {
+     return {
+         separator: 'numberFormat.thousandsSeparator'
+     };
  }
  
  /**
-     * PURPOSE OF THE FUNCTION: Extracts prefix characters from text content that appear before numeric values.
+     * PURPOSE OF THE FUNCTION: Merges configuration layers, deep-merging the nested option groups.
      * DESCRIPTION:
-     *    - Identifies and extracts non-numeric characters at the beginning of text
-     *    - Preserves currency symbols, text labels, and other prefixes
-     *    - Uses regular expressions for accurate pattern matching
-     *    - Handles edge cases with negative numbers and special characters
-     *    - Essential for maintaining text formatting during animations
-     *    - Supports various prefix types (currency, labels, symbols)
+     *    - Later layers win over earlier ones, undefined values are skipped
+     *    - Groups listed by getConfigGroups() (numberFormat, abbreviations, observerOptions, ...) are merged
+     *      field by field, so { numberFormat: { decimals: 2 } } keeps every other numberFormat setting
+     *    - Other objects (renderers, visual effects, elements) and arrays replace the previous value
+     *    - Never mutates the layers
      * 
      * DEPENDENCIES:
-     *    - Regular expressions for pattern matching
-     *    - String manipulation for extraction
-     *    - Negative number handling logic
+     *    - getConfigGroups() for the nested groups
      * 
-     * @param {string} text The text content to extract prefix from
-     * @return {string} Returns the extracted prefix string or empty string if none
+     * @param {...Object} layers The configuration layers, from lowest to highest priority
+     * @return {Object} Returns the merged configuration
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/match
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- extractPrefix(text) {
-     const match = text.match(/^([^\d-]*)/);
-     return match ? match[1] : '';
- } 
+ static mergeConfig(...layers) {
+     const groups = CounterAnimator.getConfigGroups();
+     const merge = (target, source, path) => {
+         const result = { ...target };
+         Object.keys(source).forEach(key => {
+             const name = path ? `${path}.${key}` : key;
+             const value = source[key];
+             if (value === undefined) {
+                 return;
+             } 
+             result[key] = groups.includes(name) && CounterAnimator.isPlainObject(value) && CounterAnimator.isPlainObject(result[key])
+                 ? merge(result[key], value, name)
+                 : value;
+         });
+         return result;
+     };
+     return layers.reduce((config, layer) => merge(config, layer || {}, ''), {});
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Tells whether a value is a plain object literal.
+     * DESCRIPTION:
+     *    - True for {} literals and Object.create(null), false for null, arrays, functions, elements and class instances
+     * 
+     * DEPENDENCIES:
+     *    - Object.getPrototypeOf
+     * 
+     * @param {*} value The value to check
+     * @return {boolean} Returns true for plain objects
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static isPlainObject(value) {
+     if (value === null || typeof value !== 'object') {
+         return false;
+     } 
+     const prototype = Object.getPrototypeOf(value);
+     return prototype === Object.prototype || prototype === null;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Validates a configuration object and returns the values that can be used.
+     * DESCRIPTION:
+     *    - Checks types and allowed values with the rules of the data attributes (enums, effect names, separators, ...)
+     *      and the type of the default value for the other options
+     *    - Drops invalid values with a console warning that names the option and the expected value,
+     *      so the lower configuration layer (instance or defaults) is used instead
+     *    - Checks the fields of nested groups (numberFormat, abbreviations, physics, ...) one by one
+     *    - In debug mode, warns about unknown options (with a hint for misplaced or miscased ones) and deprecated options
+     *    - Unknown and deprecated options are kept, so custom keys read by callbacks still reach them
+     * 
+     * DEPENDENCIES:
+     *    - getAttributeOptions() for the value rules
+     *    - getConfigGroups() and getDeprecatedOptions()
+     *    - isValidOption() for a single value
+     * 
+     * @param {Object} options The configuration to validate
+     * @param {string} source Where the configuration comes from, used in the warnings
+     * @return {Object} Returns a copy of the configuration without the invalid values
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ validateConfig(options, source = 'option') {
+     const debug = this.isDebugEnabled('config', { debug: options.debug !== undefined ? options.debug : (this.config || this.defaults).debug });
+     const groups = CounterAnimator.getConfigGroups();
+     const deprecated = CounterAnimator.getDeprecatedOptions();
+     const specs = {};
+     Object.values(CounterAnimator.getAttributeOptions()).forEach(spec => {
+         if (spec.type !== 'preset') {
+             specs[spec.group ? `${spec.group}.${spec.key}` : spec.key] = spec;
+         }
+     }); 
+     // Each message once per instance (per-call options are validated on every call)
+     const warn = message => {
+         if (!this.configWarnings.has(message)) {
+             this.configWarnings.add(message);
+             console.warn(message);
+         }
+     };
+     const check = (values, defaults, path) => {
+         const valid = {};
+         Object.keys(values).forEach(key => {
+             const name = path ? `${path}.${key}` : key;
+             const value = values[key];
+             
+             if (deprecated[name]) {
+                 if (debug) {
+                     warn(`CounterAnimator: ${source} "${name}" is deprecated and has no effect, use "${deprecated[name]}" instead`);
+                 } 
+                 valid[key] = value;
+                 return;
+             } 
+             if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+                 if (debug) {
+                     const known = Object.keys(defaults).find(option => option.toLowerCase() === key.toLowerCase());
+                     const hint = known
+                         ? `, did you mean "${path ? `${path}.${known}` : known}"?`
+                         : (!path && Object.prototype.hasOwnProperty.call(this.defaults.numberFormat, key) ? `, did you mean "numberFormat.${key}"?` : '');
+                     warn(`CounterAnimator: unknown ${source} "${name}"${hint}`);
+                 } 
+                 valid[key] = value;
+                 return;
+             } 
+             if (value === undefined) {
+                 return;
+             } 
+             if (groups.includes(name) && CounterAnimator.isPlainObject(value)) {
+                 valid[key] = check(value, defaults[key] || {}, name);
+                 return;
+             } 
+             const expected = this.isValidOption(value, specs[name], defaults[key], name);
+             if (expected !== true) {
+                 const shown = typeof value === 'string' ? `"${value}"` : (typeof value === 'function' ? 'a function' : String(value));
+                 warn(`CounterAnimator: invalid value ${shown} for ${source} "${name}" (expected ${expected}), ignoring it`);
+                 return;
+             } 
+             valid[key] = value;
+         });
+         return valid;
+     };
+     return check(options, this.defaults, '');
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Checks a single configuration value.
+     * DESCRIPTION:
+     *    - Accepts null only for options whose default is null and for options that can be switched off
+     *      (visualEffect, ariaLive, trend classes)
+     *    - Applies the rule of the matching data attribute descriptor when there is one (JavaScript values, not strings,
+     *      e.g. a number for duration and a function for effect)
+     *    - Otherwise requires the type of the default value, or a function for null-default callbacks (onStart, ...)
+     *    - Requires a positive spring mass and stiffness and a non-negative damping
+     * 
+     * DEPENDENCIES:
+     *    - getEasing() for effect names
+     *    - getVisualEffects(), getRenderers() and getAbbreviationScales() for preset names
+     *    - parseAttributeValue() for enums, currencies, locales and separators
+     * 
+     * @param {*} value The value to check
+     * @param {Object} spec The attribute descriptor of the option, if any
+     * @param {*} defaultValue The default value of the option
+     * @param {string} name The dotted option path (e.g. 'numberFormat.decimals')
+     * @return {boolean|string} Returns true when valid, otherwise a description of the expected value
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ isValidOption(value, spec, defaultValue, name) {
+     const switchable = ['visualEffect', 'ariaLive', 'trend.classes', 'trend.classes.up', 'trend.classes.down'];
+     const key = name.split('.').pop();
+     
+     if (value === null) {
+         return defaultValue === null || switchable.includes(name) || 'a non-null value';
+     } 
+     // Values the generic rules cannot describe
+     if (name === 'ariaLive') {
+         return value === false || typeof value === 'string' || 'a string or false';
+     } 
+     if (name === 'debug') {
+         const categories = CounterAnimator.getDebugCategories();
+         return typeof value === 'boolean' || (Array.isArray(value) && value.every(category => categories.includes(category)))
+             || `true, false or an array of ${categories.map(category => `"${category}"`).join(', ')}`;
+     } 
+     if (name === 'selector') {
+         // Anything resolveElements() accepts
+         return typeof value === 'string' || (typeof value === 'object' && (value.nodeType === 1 || typeof value.length === 'number'))
+             || 'a CSS selector, a NodeList, an array or an element';
+     } 
+     if (name === 'observerOptions.threshold') {
+         return Number.isFinite(value) || (Array.isArray(value) && value.every(Number.isFinite)) || 'a number or an array of numbers';
+     } 
+     // Spring physics: a zero mass or stiffness never integrates (NaN) or never settles
+     if (name === 'physics.mass' || name === 'physics.stiffness') {
+         return (Number.isFinite(value) && value > 0) || 'a number greater than 0';
+     } 
+     if (name === 'physics.damping') {
+         return (Number.isFinite(value) && value >= 0) || 'a number from 0';
+     } 
+     if (!spec) {
+         if (defaultValue === null) {
+             return !/^on[A-Z]/.test(key) || typeof value === 'function' || 'a function';
+         } 
+         const type = Array.isArray(defaultValue) ? 'array' : typeof defaultValue;
+         return (Array.isArray(value) ? 'array' : typeof value) === type || `a value of type ${type}`;
+     } 
+     switch (spec.type) {
+         case 'time':
+             return (Number.isFinite(value) && value >= 0) || 'a duration in milliseconds';
+         case 'number':
+             return Number.isFinite(value) || 'a finite number';
+         case 'integer':
+             return (Number.isInteger(value) && value >= spec.min && value <= spec.max) || `an integer from ${spec.min} to ${spec.max}`;
+         case 'boolean':
+             return typeof value === 'boolean' || 'true or false';
+         case 'effect':
+             return Boolean(this.getEasing(value)) || 'an effect name, a CSS easing string or a function';
+         case 'visualEffect':
+             return value === false || typeof value === 'function' || CounterAnimator.isPlainObject(value)
+                 || (typeof value === 'string' && Boolean(CounterAnimator.getVisualEffects()[value]))
+                 || `false, ${Object.keys(CounterAnimator.getVisualEffects()).map(name => `"${name}"`).join(', ')}, an object or a function`;
+         case 'renderer':
+             return typeof value === 'function' || (value && typeof value.render === 'function')
+                 || (typeof value === 'string' && Object.prototype.hasOwnProperty.call(CounterAnimator.getRenderers(), value))
+                 || `${Object.keys(CounterAnimator.getRenderers()).map(name => `"${name}"`).join(', ')}, a renderer object or a function`;
+         case 'abbreviationScale':
+             return CounterAnimator.isAbbreviationScale(value)
+                 || (typeof value === 'string' && Object.prototype.hasOwnProperty.call(CounterAnimator.getAbbreviationScales(), value))
+                 || `${Object.keys(CounterAnimator.getAbbreviationScales()).map(name => `"${name}"`).join(', ')} or an array of { threshold, label } entries`;
+         case 'string':
+             // progressTarget also takes an element
+             return typeof value === 'string' || (key === 'progressTarget' && typeof value === 'object') || 'a string';
+         default: {
+             const descriptions = {
+                 enum: spec.values ? `one of ${spec.values.map(option => `"${option}"`).join(', ')}` : '',
+                 currency: 'an ISO 4217 currency code',
+                 locale: spec.allowAuto ? '"auto" or a BCP 47 locale' : 'a BCP 47 locale',
+                 separator: 'a non-empty string'
+             };
+             return (typeof value === 'string' && this.parseAttributeValue(value, spec) !== undefined) || descriptions[spec.type];
+         }
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Builds the effective configuration of an element from the instance, element and call layers.
+     * DESCRIPTION:
+     *    - Starts from the instance configuration
+     *    - Applies the element overrides parsed from its data attributes
+     *    - Applies the custom configuration given to the current call
+     *    - Merges nested groups (numberFormat, abbreviations, ...) field by field so partial overrides keep the remaining settings
+     * 
+     * DEPENDENCIES:
+     *    - elementConfigs map for per-element overrides
+     *    - mergeConfig() for configuration merging
+     * 
+     * @param {HTMLElement} element The DOM element to resolve the configuration for
+     * @param {Object} customConfig Optional custom configuration with the highest priority
+     * @return {Object} Returns the effective configuration object
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ resolveConfig(element, customConfig = {}) {
+     return CounterAnimator.mergeConfig(this.config, this.elementConfigs.get(element), customConfig);
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Sets up intersection observer for automatic animation triggering when elements become visible.
+     * DESCRIPTION:
+     *    - Creates Intersection Observer to monitor element visibility in the viewport
+     *    - Automatically triggers animations when elements intersect with the viewport
+     *    - Provides fallback for browsers without Intersection Observer support
+     *    - Configures observer options for optimal triggering behavior
+     *    - Manages element observation lifecycle for performance optimization
+     * 
+     * DEPENDENCIES:
+     *    - Intersection Observer API (with fallback)
+     *    - animateElement() for animation execution
+     *    - Configuration options (threshold, rootMargin)
+     *    - Browser compatibility detection
+     * 
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/Intersection_Observer_API
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/IntersectionObserver
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ setupObserver() {
+     if (typeof window === 'undefined' || !window.IntersectionObserver) {
+         // Fallback for unsupported browsers
+         this.debugLog('observer', 'IntersectionObserver unavailable, animating every counter');
+         this.animateAll();
+         return;
+     } 
+     this.observer = new IntersectionObserver((entries) => {
+         entries.forEach(entry => {
+             if (entry.isIntersecting && entry.target.dataset.animated === 'false') {
+                 this.debugLog('observer', `counter visible (${Math.round(entry.intersectionRatio * 100)}%), starting`, { element: entry.target });
+                 this.animateElement(entry.target);
+                 
+                 if (this.resolveConfig(entry.target).triggerOnce) {
+                     this.observer.unobserve(entry.target);
+                 }
+             }
+         });
+     }, this.config.observerOptions); 
+     // Observe all registered elements
+     this.elements.forEach(element => {
+         this.observer.observe(element);
+     });
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Sets up a mutation observer that keeps the registered counters in sync with the DOM (watch mode).
+     * DESCRIPTION:
+     *    - Watches the configured root node (document.body by default) and its whole subtree
+     *    - Registers newly inserted elements matching the configured selector
+     *    - Unregisters counters that are removed from the document
+     *    - Re-parses the target of idle counters whose text or data-target-value was changed by other code
+     *    - Does nothing in browsers without MutationObserver support
+     * 
+     * DEPENDENCIES:
+     *    - MutationObserver API
+     *    - handleMutations() for record processing
+     * 
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/MutationObserver
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ setupWatcher() {
+     if (typeof MutationObserver === 'undefined' || this.mutationObserver) {
+         return;
+     } 
+     const root = this.config.watchRoot || document.body;
+     this.mutationObserver = new MutationObserver(records => this.handleMutations(records));
+     this.mutationObserver.observe(root, {
+         childList: true,
+         subtree: true,
+         characterData: true,
+         attributes: true,
+         attributeFilter: ['data-target-value']
+     });
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Processes mutation records collected in watch mode.
+     * DESCRIPTION:
+     *    - Unregisters counters inside removed nodes that are no longer connected to the document
+     *    - Registers matching elements inside added nodes that are still connected (when selector is a CSS selector)
+     *    - Detects text and data-target-value changes of registered counters that are not animating
+     *    - Ignores text written by the animator itself by comparing with the last rendered text
+     *      (the animator never writes data-target-value)
+     * 
+     * DEPENDENCIES:
+     *    - addElements() and removeElements() for registration
+     *    - readElementValue() for re-parsing changed counters
+     *    - Element.matches and querySelectorAll for selector matching
+     * 
+     * @param {Array} records The MutationRecord list delivered by the observer
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/MutationRecord
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ handleMutations(records) {
+     const selector = this.config.selector;
+     const added = new Set();
+     const removed = new Set();
+     const changed = new Set();
+     const retargeted = new Set();
+     
+     records.forEach(record => {
+         if (record.type === 'attributes') {
+             retargeted.add(record.target);
+             return;
+         } 
+         record.removedNodes.forEach(node => {
+             if (node.nodeType !== 1) {
+                 return;
+             } 
+             this.elements.forEach(element => {
+                 if (node === element || node.contains(element)) {
+                     removed.add(element);
+                 }
+             });
+         }); 
+         // Only a selector string can match inserted elements
+         record.addedNodes.forEach(node => {
+             if (node.nodeType !== 1 || typeof selector !== 'string') {
+                 return;
+             } 
+             if (node.matches(selector)) {
+                 added.add(node);
+             } 
+             node.querySelectorAll(selector).forEach(element => added.add(element));
+         }); 
+         // Text changes inside a registered counter
+         let node = record.target;
+         while (node && node !== document) {
+             if (this.elements.has(node)) {
+                 changed.add(node);
+                 break;
+             }
+             node = node.parentNode;
+         }
+     }); 
+     const detached = Array.from(removed).filter(element => !element.isConnected);
+     const inserted = Array.from(added).filter(element => element.isConnected && !this.elements.has(element));
+     const reparsed = [];
+     this.removeElements(detached);
+     this.addElements(inserted);
+     
+     retargeted.forEach(element => changed.add(element));
+     changed.forEach(element => {
+         if (!this.elements.has(element) || this.animations.has(element)) {
+             return;
+         } 
+         const expected = this.renderedText.has(element)
+             ? this.renderedText.get(element)
+             : element.dataset.originalText;
+         if (retargeted.has(element) || this.readText(element).trim() !== (expected || '').trim()) {
+             this.readElementValue(element);
+             this.hydrateElements([element]);
+             reparsed.push(element);
+         }
+     }); 
+     if (detached.length + inserted.length + reparsed.length > 0) {
+         this.debugLog('watch', `${inserted.length} added, ${detached.length} removed, ${reparsed.length} re-parsed`, { added: inserted, removed: detached, reparsed });
+     }
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Animates a specific DOM element with counter animation using requestAnimationFrame.
+     * DESCRIPTION:
+     *    - Executes smooth counter animation for a single element using performance-optimized timing
+     *    - Tracks the animation state (timing, frame handle, current value) so it can be paused, resumed, stopped or seeked
+     *    - Cancels any animation already running on the same element before starting a new one
+     *    - Resolves the effective configuration (instance, data attributes, custom) through resolveConfig()
+     *    - Holds the start value for the delay option of the call, or the element's own data-delay, before counting
+     *    - Triggers callback functions and counter:* DOM events at start (once the delay has elapsed), update, and completion stages
+     *    - Starts in paused state when the whole instance is paused
+     *    - Shows the final value at once (optionally with a short fade) when motion should be reduced
+     *    - Marks the element aria-busy while animating so screen readers only announce the final value
+     *    - Locks the width of the counter while counting when lockWidth is enabled
+     *    - Runs either time-based (duration + easing, default) or spring-based (mode: 'spring')
+     *    - Returns a Promise that settles with { element, value, status } once the animation ends:
+     *      'completed' when the final value is written, 'cancelled' when it is stopped, replaced or destroyed,
+     *      'skipped' when triggerOnce prevents a new run
+     * 
+     * DEPENDENCIES:
+     *    - requestTick() for frame scheduling on the shared ticker
+     *    - tick(), renderFrame() and completeAnimation() for frame processing
+     *    - cancelAnimation() for replacing running animations
+     *    - shouldReduceMotion() and setBusy() for accessibility
+     *    - lockAnimationWidth() for layout-shift-free counting
+     *    - Performance API for timing
+     * 
+     * @param {HTMLElement} element The DOM element to animate
+     * @param {Object} customConfig Optional custom configuration to override defaults
+     * @return {Promise<Object>} Returns a Promise settled with the animation result
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/Window/requestAnimationFrame
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/Performance/now
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ animateElement(element, customConfig = {}) {
+     const callConfig = this.validateConfig(customConfig, 'animateElement() option');
+     const config = this.resolveConfig(element, callConfig);
+     if (element.dataset.animated === 'true' && config.triggerOnce) {
+         const running = this.animations.get(element);
+         return running
+             ? running.finished
+             : Promise.resolve({ element, value: this.getDisplayedValue(element), status: 'skipped' });
+     } 
+     // Cancel any animation still running on this element
+     this.cancelAnimation(element);
+     // A progress visual that was missing may have been mounted since
+     const progressTarget = this.progressTargets.get(element);
+     if (progressTarget && !progressTarget.node) {
+         this.progressTargets.delete(element);
+     } 
+     // Start delay of this call, else of the element (data-delay, addElements()); the instance delay staggers animateAll()
+     const elementConfig = this.elementConfigs.get(element) || {};
+     const startDelay = (callConfig.delay !== undefined ? callConfig.delay : elementConfig.delay) || 0;
+     const targetValue = this.targetValues.get(element);
+     const startValue = config.startValue;
+     const trend = this.trends.get(element);
+     const affixes = this.affixes.get(element) || { prefix: '', suffix: '' };
+     const prefix = (trend ? trend.glyph : '') + affixes.prefix;
+     const suffix = affixes.suffix;
+     
+     element.dataset.animated = 'true';
+     this.animatedElements.add(element);
+     const animation = {
+         element,
+         config,
+         startValue,
+         targetValue,
+         prefix,
+         suffix,
+         easingFunction: this.getEasing(config.effect) || CounterAnimator.getEasings().easeOutCubic,
+         startTime: performance.now() + startDelay,
+         elapsed: -startDelay,
+         progress: 0,
+         currentValue: startValue,
+         frameId: null,
+         paused: this.paused,
+         // Spring mode state
+         mode: config.mode === 'spring' ? 'spring' : 'time',
+         velocity: 0,
+         lastTime: null,
+         settled: false,
+         // Figure-space padding (lockWidth + figureSpaces)
+         padLength: 0,
+         // onStart/counter:start sent (once data-delay has elapsed)
+         started: false
+     };
+     animation.finished = new Promise(resolve => {
+         animation.settle = resolve;
+     });
+     this.animations.set(element, animation);
+     this.setBusy(element, true, config);
+     this.debugLog('animation', `start ${startValue} → ${targetValue}`, {
+         element,
+         mode: animation.mode,
+         duration: config.duration,
+         effect: config.effect,
+         delay: startDelay
+     });
+     const reduceMotion = this.shouldReduceMotion(config);
+     if (startDelay <= 0 || reduceMotion) {
+         this.notifyStart(animation);
+     } 
+     // Reduced motion: straight to the final value
+     if (reduceMotion) {
+         this.completeAnimation(animation);
+         if (config.reducedMotionFade > 0 && typeof element.animate === 'function') {
+             element.animate([{ opacity: 0 }, { opacity: 1 }], { duration: config.reducedMotionFade, easing: 'ease-out' });
+         } 
+         return animation.finished;
+     } 
+     if (config.lockWidth) {
+         this.lockAnimationWidth(animation);
+     } 
+     if (!animation.paused) {
+         this.requestTick(animation);
+     } 
+     return animation.finished;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Animates a counter from the value it currently shows to a new target value.
+     * DESCRIPTION:
+     *    - Starts from the in-flight value when an animation is running, otherwise from the displayed value
+     *    - Updates the stored target value of the element
+     *    - Reuses animateElement() so prefix, suffix, formatting, callbacks and effects stay identical
+     *    - Ignores triggerOnce, since the value is changed explicitly
+     *    - Retargets a running spring mode animation instead of restarting it, keeping its velocity
+     *      and switching to the options of the new call (physics, callbacks, formatting, ...; delay does not apply)
+     *    - Marks the change as up or down when trend styling is enabled
+     *    - Ideal for live dashboards that receive new numbers over time
+     * 
+     * DEPENDENCIES:
+     *    - getDisplayedValue() for the starting value
+     *    - readElementValue() for elements that were never registered
+     *    - setTrend() for trend styling
+     *    - animateElement() for the animation itself
+     * 
+     * @param {HTMLElement} element The DOM element to animate
+     * @param {number} newValue The new target value
+     * @param {Object} options Optional custom configuration for this animation (duration, effect, ...)
+     * @return {Promise<Object>} Returns the animation Promise from animateElement()
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ animateTo(element, newValue, options = {}) {
+     const value = Number(newValue);
+     if (!Number.isFinite(value)) {
+         console.warn(`CounterAnimator: animateTo() expects a finite number, received "${newValue}"`);
+         return Promise.resolve({ element, value: this.getDisplayedValue(element), status: 'skipped' });
+     } 
+     // Elements never set up still need their prefix and suffix
+     if (!this.affixes.has(element)) {
+         this.readElementValue(element);
+     } 
+     const running = this.animations.get(element);
+     const fromValue = running ? running.currentValue : this.getDisplayedValue(element);
+     const animationOptions = this.validateConfig(options, 'animateTo() option');
+     const config = this.resolveConfig(element, animationOptions);
+     
+     this.targetValues.set(element, value);
+     this.setTrend(element, fromValue, value, config); 
+     // Springs are retargeted in flight, keeping their velocity (the options of this call apply from the next frame)
+     if (running && running.mode === 'spring' && config.mode === 'spring') {
+         const trend = this.trends.get(element);
+         running.config = config;
+         running.prefix = (trend ? trend.glyph : '') + this.affixes.get(element).prefix;
+         running.startValue = running.currentValue;
+         running.targetValue = value;
+         running.settled = false;
+         if (running.config.lockWidth) {
+             this.lockAnimationWidth(running);
+         } 
+         return running.finished;
+     } 
+     return this.animateElement(element, { ...animationOptions, startValue: fromValue, triggerOnce: false });
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Marks the direction of a value change on a counter (trend styling).
+     * DESCRIPTION:
+     *    - Compares the previous and the new value and sets data-trend="up" or "down" on the element
+     *    - Adds the configured trend class and remembers the optional glyph prepended to the prefix
+     *    - Replaces any trend still shown from a previous change
+     *    - Does nothing when trend styling is disabled or the value did not change
+     * 
+     * DEPENDENCIES:
+     *    - Configuration options (trend)
+     *    - clearTrend() for the previous trend
+     * 
+     * @param {HTMLElement} element The counter element
+     * @param {number} fromValue The value shown before the change
+     * @param {number} toValue The new target value
+     * @param {Object} config The effective configuration of the animation
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ setTrend(element, fromValue, toValue, config) {
+     const trend = { ...this.defaults.trend, ...config.trend };
+     if (!trend.enabled || fromValue === toValue) {
+         return;
+     } 
+     const direction = toValue > fromValue ? 'up' : 'down';
+     const className = trend.classes ? trend.classes[direction] : null;
+     
+     this.clearTrend(element);
+     element.dataset.trend = direction;
+     if (className) {
+         element.classList.add(className);
+     } 
+     this.trends.set(element, {
+         direction,
+         className,
+         glyph: trend.glyphs ? trend.glyphs[direction] || '' : '',
+         hold: trend.hold,
+         timer: null
+     });
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Starts the hold time of a counter trend once its animation is complete.
+     * DESCRIPTION:
+     *    - Clears the trend (attribute, class and glyph) after the configured hold time
+     *    - A hold time of 0 keeps the trend until the next value change
+     * 
+     * DEPENDENCIES:
+     *    - setTimeout for the hold time
+     *    - clearTrend() for the reset
+     * 
+     * @param {HTMLElement} element The counter element
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ holdTrend(element) {
+     const trend = this.trends.get(element);
+     if (!trend || !(trend.hold > 0)) {
+         return;
+     } 
+     clearTimeout(trend.timer);
+     trend.timer = setTimeout(() => this.clearTrend(element, true), trend.hold);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Removes the trend styling of a counter.
+     * DESCRIPTION:
+     *    - Cancels the pending hold timer
+     *    - Removes data-trend and the trend class
+     *    - Optionally removes the glyph from the displayed text, unless the counter is animating
+     *      or its text was changed by other code
+     * 
+     * DEPENDENCIES:
+     *    - Map of trends per element
+     *    - renderValue() for redrawing the value without the glyph
+     * 
+     * @param {HTMLElement} element The counter element
+     * @param {boolean} restoreText Whether the glyph should be removed from the displayed text
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ clearTrend(element, restoreText = false) {
+     const trend = this.trends.get(element);
+     if (!trend) {
+         return;
+     } 
+     clearTimeout(trend.timer);
+     this.trends.delete(element);
+     delete element.dataset.trend;
+     if (trend.className) {
+         element.classList.remove(trend.className);
+     } 
+     const parts = this.renderedParts.get(element);
+     if (restoreText && trend.glyph && parts && !this.animations.has(element)
+         && this.renderedText.get(element) === element.textContent && parts.prefix.startsWith(trend.glyph)) {
+         this.renderValue(element, { ...parts, prefix: parts.prefix.slice(trend.glyph.length) });
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Feeds a counter from a live data source, tweening to every value that arrives.
+     * DESCRIPTION:
+     *    - Accepts a Promise, an async iterable, an EventTarget/EventSource, an observable with subscribe()
+     *      or a subscribe function that receives a callback and returns an unsubscribe function
+     *    - Reads event values from event.detail (CustomEvent) or event.data (MessageEvent)
+     *    - Parses string values with the element number format, or with a custom map function
+     *    - Enforces a minimum interval between animations and coalesces bursts into the latest value
+     *    - Replaces any previous binding of the same element
+     *    - Reports source errors, and errors thrown by map or animateTo(), with a console warning
+     * 
+     * DEPENDENCIES:
+     *    - animateTo() for the tween to each new value
+     *    - normalizeBoundValue() for value extraction
+     *    - unbind() for disposal
+     *    - setTimeout for interval management
+     * 
+     * @param {HTMLElement} element The DOM element to drive
+     * @param {Promise|AsyncIterable|EventTarget|Object|Function} source The live data source
+     * @param {Object} options Optional settings: minInterval (ms), event (name, default 'message'), map (value => number)
+     *                         and any animation option passed to animateTo()
+     * @return {Function} Returns a function that disposes the binding
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/for-await...of
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/EventSource
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ bind(element, source, options = {}) {
+     this.unbind(element);
+     const { minInterval = 0, event = 'message', map = null, ...animationOptions } = options;
+     const binding = {
+         active: true,
+         lastUpdate: -Infinity,
+         pending: null,
+         timer: null,
+         cleanup: null
+     };
+     this.bindings.set(element, binding);
+     
+     const apply = value => {
+         binding.lastUpdate = performance.now();
+         this.animateTo(element, value, animationOptions);
+     };
+     const fail = error => {
+         if (binding.active) {
+             console.warn('CounterAnimator: bound source failed', error);
+         }
+     };
+     const flush = () => {
+         binding.timer = null;
+         if (binding.active && binding.pending !== null) {
+             const value = binding.pending;
+             binding.pending = null;
+             try {
+                 apply(value);
+             } catch (error) {
+                 fail(error);
+             }
+         }
+     };
+     // A throwing map or animateTo() is reported like a source error instead of escaping into the source
+     const push = raw => {
+         if (!binding.active) {
+             return;
+         } 
+         try {
+             const value = this.normalizeBoundValue(element, raw, map);
+             if (value === null) {
+                 return;
+             } 
+             const wait = binding.lastUpdate + minInterval - performance.now();
+             if (wait <= 0 && binding.timer === null) {
+                 apply(value);
+                 return;
+             } 
+             // Coalesce bursts: only the latest value is animated
+             binding.pending = value;
+             if (binding.timer === null) {
+                 binding.timer = setTimeout(flush, Math.max(wait, 0));
+             }
+         } catch (error) {
+             fail(error);
+         }
+     }; 
+     // Subscribe function: source(callback) => unsubscribe
+     if (typeof source === 'function') {
+         const unsubscribe = source(push);
+         binding.cleanup = typeof unsubscribe === 'function' ? unsubscribe : null;
+     } else if (source && typeof source.then === 'function') {
+         source.then(push, fail);
+     } else if (source && typeof source[Symbol.asyncIterator] === 'function') {
+         const iterator = source[Symbol.asyncIterator]();
+         const step = () => iterator.next().then(result => {
+             if (result.done || !binding.active) {
+                 return;
+             } 
+             push(result.value);
+             step();
+         }, fail);
+         binding.cleanup = () => {
+             if (typeof iterator.return === 'function') {
+                 Promise.resolve().then(() => iterator.return()).catch(fail);
+             }
+         };
+         step();
+     } else if (source && typeof source.addEventListener === 'function') {
+         source.addEventListener(event, push);
+         binding.cleanup = () => source.removeEventListener(event, push);
+     } else if (source && typeof source.subscribe === 'function') {
+         const subscription = source.subscribe(push);
+         binding.cleanup = () => {
+             if (typeof subscription === 'function') {
+                 subscription();
+             } else if (subscription && typeof subscription.unsubscribe === 'function') {
+                 subscription.unsubscribe();
+             }
+         };
+     } else {
+         console.warn('CounterAnimator: bind() received an unsupported source', source);
+     } 
+     return () => {
+         if (this.bindings.get(element) === binding) {
+             this.unbind(element);
+         }
+     };
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Disposes the live data binding of an element.
+     * DESCRIPTION:
+     *    - Cancels coalesced values that are still waiting for the minimum interval
+     *    - Removes event listeners, unsubscribes observables and closes async iterators
+     *    - Late values from a disposed source are ignored
+     *    - Leaves the counter showing its current value
+     * 
+     * DEPENDENCIES:
+     *    - bindings map for subscription tracking
+     *    - clearTimeout for pending updates
+     * 
+     * @param {HTMLElement} element The DOM element to unbind
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ unbind(element) {
+     const binding = this.bindings.get(element);
+     if (!binding) {
+         return;
+     } 
+     binding.active = false;
+     this.bindings.delete(element);
+     if (binding.timer !== null) {
+         clearTimeout(binding.timer);
+         binding.timer = null;
+     } 
+     if (binding.cleanup) {
+         try {
+             binding.cleanup();
+         } catch (error) {
+             console.warn('CounterAnimator: failed to dispose bound source', error);
+         }
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Converts a value received from a live data source into a number.
+     * DESCRIPTION:
+     *    - Applies the custom map function when one is given
+     *    - Unwraps event.detail (CustomEvent) and event.data (MessageEvent) otherwise
+     *    - Parses strings with the element number format
+     *    - Returns null for values that are not finite numbers
+     * 
+     * DEPENDENCIES:
+     *    - resolveConfig() for the element number format
+     *    - extractNumber() for string parsing
+     * 
+     * @param {HTMLElement} element The DOM element the value is meant for
+     * @param {*} raw The raw value received from the source
+     * @param {Function|null} map Optional function converting the raw value
+     * @return {number|null} Returns the numeric value or null if it cannot be used
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ normalizeBoundValue(element, raw, map) {
+     let value = raw;
+     
+     if (map) {
+         value = map(raw);
+     } else if (value && typeof value === 'object') {
+         if ('detail' in value) {
+             value = value.detail;
+         } else if ('data' in value) {
+             value = value.data;
+         }
+     } 
+     if (typeof value === 'string') {
+         value = this.extractNumber(value, this.resolveConfig(element).numberFormat);
+     } 
+     return typeof value === 'number' && Number.isFinite(value) ? value : null;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Returns the numeric value an element currently shows.
+     * DESCRIPTION:
+     *    - Uses the last value rendered by the animator when there is one
+     *    - Falls back to the target value parsed from the element text otherwise
+     * 
+     * DEPENDENCIES:
+     *    - displayedValues WeakMap for rendered values
+     *    - Element dataset API for the parsed target value
+     * 
+     * @param {HTMLElement} element The DOM element to inspect
+     * @return {number} Returns the displayed numeric value (0 when unknown)
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getDisplayedValue(element) {
+     if (this.displayedValues.has(element)) {
+         return this.displayedValues.get(element);
+     } 
+     return this.targetValues.get(element) || 0;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Schedules the next frame of an animation on the shared page ticker.
+     * DESCRIPTION:
+     *    - Splits the frame into a read phase (tick), a write phase (commitFrame) and a notify phase (finishFrame)
+     *    - The shared ticker runs each phase for all counters of the page before the next one, so DOM writes are batched
+     *    - Applies the fps option as a frame-rate cap for this animation
+     *    - Keeps the frame task on the animation state until the frame is finished, so stop() and pause() can skip its remaining phases
+     * 
+     * DEPENDENCIES:
+     *    - requestFrame() for the shared ticker
+     *    - tick(), commitFrame() and finishFrame() for the frame phases
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ requestTick(animation) {
+     const fps = Number(animation.config.fps);
+     animation.frameId = CounterAnimator.requestFrame({
+         interval: fps > 0 ? 1000 / fps : 0,
+         since: animation.frameTime,
+         read: time => this.tick(animation, time),
+         write: () => this.commitFrame(animation),
+         notify: () => this.finishFrame(animation)
+     });
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Advances a tracked animation to the current frame time without touching the DOM.
+     * DESCRIPTION:
+     *    - Derives elapsed time from the animation start time so paused time is never counted
+     *    - Integrates the spring physics first in spring mode
+     *    - Computes the value and text of the frame through computeFrame()
+     *    - Collects frame timing statistics in debug mode (frames category)
+     *    - Runs in the read phase of the shared ticker
+     * 
+     * DEPENDENCIES:
+     *    - stepSpring() for spring mode
+     *    - computeFrame() for value calculation
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @param {number} currentTime The high resolution timestamp provided by requestAnimationFrame
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ tick(animation, currentTime) {
+     if (this.isDebugEnabled('frames')) {
+         // Frame timing statistics
+         const stats = animation.stats || (animation.stats = { frames: 0, first: currentTime, last: null, longest: 0, longFrames: 0, writeTime: 0 });
+         if (stats.last !== null) {
+             const gap = currentTime - stats.last;
+             const fps = Number(animation.config.fps);
+             stats.longest = Math.max(stats.longest, gap);
+             stats.longFrames += gap > 1.5 * (fps > 0 ? 1000 / fps : 1000 / 60) ? 1 : 0;
+         } 
+         stats.frames++;
+         stats.last = currentTime;
+     } 
+     animation.frameTime = currentTime;
+     animation.elapsed = currentTime - animation.startTime;
+     if (animation.mode === 'spring') {
+         this.stepSpring(animation, currentTime);
+     } 
+     this.computeFrame(animation);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Finishes a frame by notifying listeners and scheduling the next frame or completing.
+     * DESCRIPTION:
+     *    - Runs in the notify phase of the shared ticker, after all counters have been written
+     *    - Triggers the start callback and the counter:start event on the first frame after the start delay
+     *    - Triggers the update callback and the counter:update event
+     *    - Schedules the next frame until progress reaches 1 (or the spring settles)
+     *    - Finalizes the animation otherwise
+     *    - Still schedules or finalizes the counter when a callback or listener throws, then rethrows the error
+     * 
+     * DEPENDENCIES:
+     *    - notifyStart() and notifyFrame() for callbacks and events
+     *    - requestTick() for the next frame
+     *    - completeAnimation() for final value and cleanup
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ finishFrame(animation) {
+     let failure = null;
+     try {
+         if (!animation.started && animation.elapsed >= 0) {
+             this.notifyStart(animation);
+         } 
+         if (this.animations.get(animation.element) === animation) {
+             this.notifyFrame(animation);
+         }
+     } catch (error) {
+         // Rethrown for runFrame() once the counter is scheduled, so a throwing callback does not stall it
+         failure = error;
+     } 
+     // A callback may have stopped, paused or restarted the counter
+     if (this.animations.get(animation.element) === animation && !animation.paused) {
+         animation.frameId = null;
+         const running = animation.mode === 'spring' ? !animation.settled : animation.progress < 1;
+         
+         if (running) {
+             this.requestTick(animation);
+         } else {
+             this.completeAnimation(animation);
+         }
+     } 
+     if (failure) {
+         throw failure;
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Returns the frame ticker shared by every CounterAnimator instance of the page.
+     * DESCRIPTION:
+     *    - Lazily creates the ticker state on first use
+     *    - Holds the pending frame tasks and the single requestAnimationFrame handle
+     * 
+     * DEPENDENCIES:
+     *    - Set data structure for task tracking
+     * 
+     * @return {Object} Returns the ticker state ({ tasks, frameId })
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static getScheduler() {
+     if (!CounterAnimator.scheduler) {
+         CounterAnimator.scheduler = {
+             tasks: new Set(), // Frame tasks waiting for the next frame
+             frameId: null // Single requestAnimationFrame handle
+         };
+     } 
+     return CounterAnimator.scheduler;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Adds a task to the next frame of the shared ticker.
+     * DESCRIPTION:
+     *    - A task has optional read(time), write(time) and notify(time) phases
+     *    - An interval (ms) and the time of its previous run (since) cap the frame rate of the task
+     *    - Starts the single requestAnimationFrame loop when it is not running
+     * 
+     * DEPENDENCIES:
+     *    - getScheduler() for the ticker state
+     *    - requestAnimationFrame for frame scheduling
+     *    - runFrame() for task execution
+     * 
+     * @param {Object} task The frame task ({ read, write, notify, interval, since })
+     * @return {Object} Returns the task, used as handle for cancelFrame()
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/Window/requestAnimationFrame
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static requestFrame(task) {
+     const scheduler = CounterAnimator.getScheduler();
+     task.cancelled = false;
+     scheduler.tasks.add(task);
+     if (scheduler.frameId === null) {
+         scheduler.frameId = requestAnimationFrame(time => CounterAnimator.runFrame(time));
+     } 
+     return task;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Removes a task from the shared ticker.
+     * DESCRIPTION:
+     *    - Marks the task as cancelled so phases of the current frame skip it too
+     *    - The ticker stops by itself once no tasks are left
+     * 
+     * DEPENDENCIES:
+     *    - getScheduler() for the ticker state
+     * 
+     * @param {Object} task The task handle returned by requestFrame()
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static cancelFrame(task) {
+     task.cancelled = true;
+     CounterAnimator.getScheduler().tasks.delete(task);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Runs one frame of the shared ticker for all due tasks.
+     * DESCRIPTION:
+     *    - Leaves tasks whose frame-rate cap is not reached yet for a later frame
+     *    - Runs the read phase of all due tasks, then the write phase, then the notify phase
+     *    - Batching the phases avoids interleaved DOM reads and writes (layout thrashing)
+     *    - Reports errors thrown by a task with console.error and keeps running the other tasks
+     *    - Requests the next frame while tasks are waiting
+     * 
+     * DEPENDENCIES:
+     *    - getScheduler() for the ticker state
+     *    - requestAnimationFrame for the next frame
+     * 
+     * @param {number} time The high resolution timestamp provided by requestAnimationFrame
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Glossary/Layout_thrashing
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static runFrame(time) {
+     const scheduler = CounterAnimator.getScheduler();
+     scheduler.frameId = null;
+     const due = [];
+     
+     scheduler.tasks.forEach(task => {
+         // Frame-rate cap (10% tolerance for frame timing jitter)
+         if (task.interval > 0 && typeof task.since === 'number' && time - task.since < task.interval * 0.9) {
+             return;
+         } 
+         scheduler.tasks.delete(task);
+         due.push(task);
+     });
+     ['read', 'write', 'notify'].forEach(phase => {
+         due.forEach(task => {
+             if (!task.cancelled && task[phase]) {
+                 // A throwing callback or listener must not stop the other counters of the page
+                 try {
+                     task[phase](time);
+                 } catch (error) {
+                     console.error(`CounterAnimator: error in the ${phase} phase of a frame`, error);
+                 }
+             }
+         });
+     });
+     if (scheduler.tasks.size > 0 && scheduler.frameId === null) {
+         scheduler.frameId = requestAnimationFrame(next => CounterAnimator.runFrame(next));
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Integrates the spring physics of a spring mode animation up to the current frame.
+     * DESCRIPTION:
+     *    - Applies the spring force (stiffness × displacement) and friction (damping × velocity) to the value
+     *    - Uses small fixed sub-steps so large frame gaps stay stable
+     *    - Keeps the velocity on the animation state, so retargeting continues the current motion
+     *    - Marks the animation as settled once speed and distance to the target fall below the rest thresholds
+     *    - Holds the start value during the element start delay
+     * 
+     * DEPENDENCIES:
+     *    - Configuration options (physics, numberFormat.decimals)
+     *    - Semi-implicit Euler integration
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @param {number} currentTime The high resolution timestamp provided by requestAnimationFrame
+     * @return void
+     * 
+     * @link https://en.wikipedia.org/wiki/Semi-implicit_Euler_method
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ stepSpring(animation, currentTime) {
+     const physics = { ...this.defaults.physics, ...animation.config.physics };
+     const decimals = animation.config.numberFormat.decimals || 0;
+     const restDelta = physics.restDelta !== null ? physics.restDelta : 0.5 / Math.pow(10, decimals);
+     const restSpeed = physics.restSpeed !== null ? physics.restSpeed : restDelta * 10;
+     
+     if (animation.lastTime === null || animation.elapsed < 0) {
+         animation.lastTime = currentTime;
+         return;
+     } 
+     // Seconds since the previous frame (capped after long gaps)
+     const delta = Math.min((currentTime - animation.lastTime) / 1000, 0.1);
+     animation.lastTime = currentTime;
+     const steps = Math.max(Math.ceil(delta / (1 / 240)), 1);
+     const step = delta / steps;
+     
+     for (let i = 0; i < steps; i++) {
+         const displacement = animation.currentValue - animation.targetValue;
+         const force = -physics.stiffness * displacement - physics.damping * animation.velocity;
+         animation.velocity += (force / physics.mass) * step;
+         animation.currentValue += animation.velocity * step;
+     } 
+     if (Math.abs(animation.velocity) < restSpeed && Math.abs(animation.targetValue - animation.currentValue) < restDelta) {
+         animation.currentValue = animation.targetValue;
+         animation.velocity = 0;
+         animation.settled = true;
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Calculates and displays the counter value for the current elapsed time of an animation.
+     * DESCRIPTION:
+     *    - Runs the three frame phases at once (compute, write, notify)
+     *    - Used outside the shared ticker, for example by seek()
+     * 
+     * DEPENDENCIES:
+     *    - computeFrame() for value calculation
+     *    - commitFrame() for the DOM update
+     *    - notifyFrame() for callbacks and events
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @return {number} Returns the linear progress of the animation (0 to 1)
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ renderFrame(animation) {
+     this.computeFrame(animation);
+     this.commitFrame(animation);
+     this.notifyFrame(animation);
+     return animation.progress;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Calculates the counter value and text for the current elapsed time of an animation.
+     * DESCRIPTION:
+     *    - Converts elapsed time into progress and applies the easing function
+     *    - In spring mode, uses the integrated value and reports the share of the distance covered as progress
+     *    - Stores the current progress, value and formatted value on the animation state
+     *    - Does not touch the DOM
+     * 
+     * DEPENDENCIES:
+     *    - Easing functions for animation progression
+     *    - formatValue() for number formatting
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ computeFrame(animation) {
+     const { config, startValue, targetValue } = animation;
+     let progress;
+     let currentValue;
+     
+     if (animation.mode === 'spring') {
+         // Progress is the share of the distance covered
+         const distance = targetValue - startValue;
+         currentValue = animation.currentValue;
+         progress = distance === 0 ? 1 : Math.min(Math.max((currentValue - startValue) / distance, 0), 1);
+         if (animation.settled) {
+             progress = 1;
+         }
+     } else {
+         const elapsed = Math.max(animation.elapsed, 0);
+         progress = config.duration > 0 ? Math.min(elapsed / config.duration, 1) : 1;
+         const easedProgress = animation.easingFunction(progress);
+         currentValue = startValue + (targetValue - startValue) * easedProgress;
+     } 
+     animation.progress = progress;
+     animation.currentValue = currentValue;
+     animation.formattedValue = this.formatValue(currentValue, config);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Writes the computed frame of an animation into the DOM.
+     * DESCRIPTION:
+     *    - Renders the counter value with the configured renderer (unchanged text is not rewritten)
+     *    - Pads the value with figure spaces when figureSpaces is enabled
+     *    - Moves the progress ring/bar tied to the counter to the same value
+     *    - Applies visual effects matching the current progress
+     *    - Runs in the write phase of the shared ticker
+     * 
+     * DEPENDENCIES:
+     *    - renderValue() for the DOM update
+     *    - renderProgress() for the progress visual
+     *    - addVisualEffect() for visual enhancements
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ commitFrame(animation) {
+     const { element } = animation;
+     const writeStart = animation.stats ? performance.now() : 0;
+     this.displayedValues.set(element, animation.currentValue);
+     this.renderValue(element, {
+         value: animation.currentValue,
+         formatted: this.padFigures(animation.formattedValue, animation.padLength),
+         progress: animation.progress,
+         prefix: animation.prefix,
+         suffix: animation.suffix,
+         config: animation.config
+     });
+     this.renderProgress(element, animation.currentValue, animation.config); 
+     // Add visual effect during animation
+     this.addVisualEffect(element, animation.progress, animation.config, animation.currentValue);
+     if (animation.stats) {
+         animation.stats.writeTime += performance.now() - writeStart;
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Updates the progress visual (ring, bar or CSS variable) tied to a counter.
+     * DESCRIPTION:
+     *    - Maps the displayed value onto the progressMin/progressMax domain, so the visual and the number stay in sync
+     *    - ring: sets stroke-dasharray / stroke-dashoffset of an SVG circle or path
+     *    - bar: sets the width of the target in percent
+     *    - css-var: sets --counter-progress (0 to 1) on the target
+     *    - auto picks ring for SVG shapes and bar for other elements
+     *    - Updates aria-valuenow when the target has role="progressbar"
+     *    - Does nothing when no progressTarget is configured or found
+     * 
+     * DEPENDENCIES:
+     *    - getProgressTarget() for target resolution
+     *    - SVGGeometryElement.getTotalLength() for the ring length
+     * 
+     * @param {HTMLElement} element The counter element
+     * @param {number} value The value displayed by the counter
+     * @param {Object} config The effective configuration
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/stroke-dashoffset
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ renderProgress(element, value, config) {
+     const target = this.getProgressTarget(element, config.progressTarget);
+     if (!target) {
+         return;
+     } 
+     const range = config.progressMax - config.progressMin;
+     const fraction = range === 0 ? 1 : Math.min(Math.max((value - config.progressMin) / range, 0), 1);
+     const node = target.node;
+     let type = config.progressType;
+     
+     if (type === 'auto') {
+         type = /^(circle|ellipse|path)$/i.test(node.tagName) ? 'ring' : 'bar';
+     } 
+     if (type === 'ring') {
+         if (target.length === null) {
+             target.length = typeof node.getTotalLength === 'function'
+                 ? node.getTotalLength()
+                 : 2 * Math.PI * (parseFloat(node.getAttribute('r')) || 0);
+             node.style.setProperty('stroke-dasharray', String(target.length));
+         } 
+         node.style.setProperty('stroke-dashoffset', String(target.length * (1 - fraction)));
+     } else if (type === 'bar') {
+         node.style.setProperty('width', `${fraction * 100}%`);
+     } else {
+         node.style.setProperty('--counter-progress', String(fraction));
+     } 
+     if (node.getAttribute('role') === 'progressbar') {
+         node.setAttribute('aria-valuenow', String(Math.round(value * 100) / 100));
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Resolves the progress visual of a counter.
+     * DESCRIPTION:
+     *    - Accepts an element or a CSS selector
+     *    - Searches selectors inside the counter container: the parent, then the ancestors (grandparent, ...),
+     *      stopping at the first one that holds another counter, so a card without its own ring (or a counter
+     *      placed directly in a shared grid) does not take the ring of another card
+     *    - Warns once about invalid selectors instead of throwing inside the frame
+     *    - Caches the result per counter until the progressTarget option changes; a missing target is
+     *      looked up again when the next animation starts (see animateElement())
+     * 
+     * DEPENDENCIES:
+     *    - WeakMap of resolved targets per counter
+     *    - Registered elements set for the container boundary
+     *    - Element.querySelector for selector lookup
+     * 
+     * @param {HTMLElement} element The counter element
+     * @param {HTMLElement|string} progressTarget The progressTarget option
+     * @return {Object|null} Returns the target ({ key, node, length }) or null when none is found
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/Element/querySelector
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getProgressTarget(element, progressTarget) {
+     if (!progressTarget) {
+         return null;
+     } 
+     const cached = this.progressTargets.get(element);
+     if (cached && cached.key === progressTarget) {
+         return cached.node ? cached : null;
+     } 
+     let node = typeof progressTarget === 'string' ? null : progressTarget;
+     let parent = element.parentNode;
+     const others = Array.from(this.elements).filter(counter => counter !== element);
+     
+     try {
+         while (!node && parent && typeof parent.querySelector === 'function') {
+             // Past the counter container (the parent included): this ancestor also holds other counters
+             if (typeof parent.contains === 'function' && others.some(counter => parent.contains(counter))) {
+                 break;
+             } 
+             node = parent.querySelector(progressTarget);
+             parent = parent.parentNode;
+         }
+     } catch (error) {
+         const message = `CounterAnimator: invalid progressTarget selector "${progressTarget}"`;
+         if (!this.configWarnings.has(message)) {
+             this.configWarnings.add(message);
+             console.warn(message, error);
+         } 
+         node = null;
+     } 
+     const target = { key: progressTarget, node, length: null };
+     this.progressTargets.set(element, target);
+     return node ? target : null;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Triggers the start callback and the counter:start event of an animation.
+     * DESCRIPTION:
+     *    - Runs once per animation, when counting begins (after the element data-delay)
+     *    - Reports the start value and the target value
+     * 
+     * DEPENDENCIES:
+     *    - emit() for the DOM event
+     *    - formatValue() for the formatted start value
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ notifyStart(animation) {
+     const { element, config, startValue, targetValue } = animation;
+     animation.started = true;
+     
+     if (config.onStart) {
+         config.onStart(element, targetValue);
+     } 
+     this.emit(element, 'start', {
+         value: startValue,
+         formatted: this.formatValue(startValue, config),
+         progress: 0,
+         target: targetValue
+     }, config);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Triggers the update callback and the counter:update event for the current frame.
+     * DESCRIPTION:
+     *    - Runs after the write phase, so listeners see the new text
+     * 
+     * DEPENDENCIES:
+     *    - emit() for the counter:update event
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ notifyFrame(animation) {
+     const { element, config, currentValue, progress, targetValue } = animation; 
+     // Update callback
+     if (config.onUpdate) {
+         config.onUpdate(element, currentValue, progress);
+     } 
+     this.emit(element, 'update', { value: currentValue, formatted: animation.formattedValue, progress, target: targetValue }, config);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Tells whether an animation should skip its motion and show the final value at once.
+     * DESCRIPTION:
+     *    - 'always' and 'never' force the decision
+     *    - 'auto' follows the prefers-reduced-motion media query of the user
+     * 
+     * DEPENDENCIES:
+     *    - watchMotionPreference() for the media query
+     * 
+     * @param {Object} config The effective configuration of the animation
+     * @return {boolean} Returns true when motion should be reduced
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/@media/prefers-reduced-motion
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ shouldReduceMotion(config) {
+     if (config.reducedMotion === 'always') {
+         return true;
+     } 
+     if (config.reducedMotion === 'never') {
+         return false;
+     } 
+     this.watchMotionPreference();
+     return Boolean(this.motionQuery && this.motionQuery.matches);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Listens to the prefers-reduced-motion media query of the user.
+     * DESCRIPTION:
+     *    - Creates the media query once per instance, on first use
+     *    - Finishes running 'auto' animations at once when the user turns reduced motion on
+     *    - Does nothing in environments without matchMedia
+     * 
+     * DEPENDENCIES:
+     *    - window.matchMedia API
+     *    - completeAnimation() for finishing running animations
+     * 
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/Window/matchMedia
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ watchMotionPreference() {
+     if (this.motionQuery || typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+         return;
+     } 
+     this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+     this.handleMotionChange = event => {
+         if (!event.matches) {
+             return;
+         } 
+         this.getAnimations().forEach(animation => {
+             if (animation.config.reducedMotion !== 'auto') {
+                 return;
+             } 
+             if (animation.frameId !== null) {
+                 CounterAnimator.cancelFrame(animation.frameId);
+                 animation.frameId = null;
+             } 
+             this.completeAnimation(animation);
+         });
+     }; 
+     // Safari < 14 only supports addListener()
+     if (this.motionQuery.addEventListener) {
+         this.motionQuery.addEventListener('change', this.handleMotionChange);
+     } else {
+         this.motionQuery.addListener(this.handleMotionChange);
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Marks a counter as busy for assistive technologies while it animates.
+     * DESCRIPTION:
+     *    - Sets aria-busy="true" during the animation so the intermediate values are not announced
+     *    - Adds the configured aria-live value to counters that have none, so the final value is announced
+     *      (kept between animations, removed by releaseAriaLive() when the counter is removed or destroyed)
+     *    - Restores the previous aria-busy value when the animation ends
+     *    - Does nothing when the ariaLive option is false
+     * 
+     * DEPENDENCIES:
+     *    - WeakMap for the previous aria-busy values
+     *    - Element attribute API
+     * 
+     * @param {HTMLElement} element The counter element
+     * @param {boolean} busy True when the animation starts, false when it ends
+     * @param {Object} config The effective configuration of the animation
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/Accessibility/ARIA/Attributes/aria-busy
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ setBusy(element, busy, config) {
+     if (!config.ariaLive) {
+         return;
+     } 
+     if (busy) {
+         if (!this.ariaBusy.has(element)) {
+             this.ariaBusy.set(element, element.getAttribute('aria-busy'));
+         } 
+         if (!element.hasAttribute('aria-live')) {
+             element.setAttribute('aria-live', config.ariaLive);
+             this.ariaLiveAdded.set(element, config.ariaLive);
+         } 
+         element.setAttribute('aria-busy', 'true');
+         return;
+     } 
+     if (!this.ariaBusy.has(element)) {
+         return;
+     } 
+     const previous = this.ariaBusy.get(element);
+     this.ariaBusy.delete(element);
+     if (previous === null) {
+         element.removeAttribute('aria-busy');
+     } else {
+         element.setAttribute('aria-busy', previous);
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Removes the aria-live attribute that setBusy() added to a counter.
+     * DESCRIPTION:
+     *    - Leaves aria-live values from the markup, or changed by other code since, untouched
+     *    - Does nothing for elements that had their own aria-live
+     * 
+     * DEPENDENCIES:
+     *    - ariaLiveAdded WeakMap for the added values
+     * 
+     * @param {HTMLElement} element The counter element
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/Accessibility/ARIA/Attributes/aria-live
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ releaseAriaLive(element) {
+     if (!this.ariaLiveAdded.has(element)) {
+         return;
+     } 
+     if (element.getAttribute('aria-live') === this.ariaLiveAdded.get(element)) {
+         element.removeAttribute('aria-live');
+     } 
+     this.ariaLiveAdded.delete(element);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Dispatches a counter lifecycle CustomEvent on an element.
+     * DESCRIPTION:
+     *    - Dispatches counter:start, counter:update, counter:complete, counter:cancel and counter:reset
+     *    - Events bubble so a single delegated listener can handle a whole grid of counters
+     *    - The event detail carries the raw value, the formatted string, the progress and the target
+     *    - Does nothing when the events option is disabled or CustomEvent is unavailable
+     * 
+     * DEPENDENCIES:
+     *    - CustomEvent API
+     *    - Element dispatchEvent
+     * 
+     * @param {HTMLElement} element The DOM element to dispatch the event on
+     * @param {string} name The lifecycle stage (start, update, complete, cancel, reset)
+     * @param {Object} detail The event detail ({ value, formatted, progress, target })
+     * @param {Object} config Optional effective configuration (defaults to the instance configuration)
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/CustomEvent
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ emit(element, name, detail, config = this.config) {
+     if (!config.events || typeof CustomEvent === 'undefined') {
+         return;
+     } 
+     element.dispatchEvent(new CustomEvent(`counter:${name}`, {
+         bubbles: true,
+         detail
+     }));
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Returns the diagnostic categories that debug mode can log.
+     * DESCRIPTION:
+     *    - parse: text parsing decisions (separators found, branch taken, result)
+     *    - config: effective configuration per counter, unknown and deprecated options
+     *    - observer: intersection observer triggers
+     *    - watch: counters added, removed or re-parsed by watch mode
+     *    - animation: start, completion and cancellation of each animation
+     *    - frames: frame timing statistics per animation
+     * 
+     * DEPENDENCIES:
+     *    - Static method implementation
+     * 
+     * @return {Array} Returns the category names accepted by the debug option
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static getDebugCategories() {
+     return ['parse', 'config', 'observer', 'watch', 'animation', 'frames'];
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Tells whether debug mode logs a diagnostic category.
+     * DESCRIPTION:
+     *    - debug: true enables every category, an array of names enables only those
+     * 
+     * DEPENDENCIES:
+     *    - Configuration options (debug)
+     * 
+     * @param {string} category The diagnostic category
+     * @param {Object} config The configuration holding the debug option (defaults to the instance one)
+     * @return {boolean} Returns true when the category is logged
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ isDebugEnabled(category, config = this.config) {
+     const debug = config ? config.debug : false;
+     return debug === true || (Array.isArray(debug) && debug.includes(category));
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Writes a debug diagnostic to the console.
+     * DESCRIPTION:
+     *    - Does nothing unless debug mode logs the category
+     *    - Prefixes the message with the category (e.g. "CounterAnimator [parse] ...")
+     *    - Passes the details as a second argument, so the console shows them as an expandable object
+     * 
+     * DEPENDENCIES:
+     *    - isDebugEnabled() for the category filter
+     *    - console API
+     * 
+     * @param {string} category The diagnostic category
+     * @param {string} message The message
+     * @param {Object} details Optional details (element, values, ...)
+     * @param {string} level The console method ('log' or 'warn')
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ debugLog(category, message, details, level = 'log') {
+     if (!this.isDebugEnabled(category)) {
+         return;
+     } 
+     const text = `CounterAnimator [${category}] ${message}`;
+     if (details === undefined) {
+         console[level](text);
+     } else {
+         console[level](text, details);
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Logs the frame timing statistics of an animation (frames debug category).
+     * DESCRIPTION:
+     *    - Reports the number of frames, the total time, the average and longest frame interval,
+     *      the long frames (more than 1.5 × the expected interval) and the average write time per frame
+     *    - Does nothing for animations without statistics (debug off or no frame rendered)
+     * 
+     * DEPENDENCIES:
+     *    - debugLog() for output
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @param {string} status How the animation ended ('completed' or 'cancelled')
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ logFrameStats(animation, status) {
+     const stats = animation.stats;
+     if (!stats || stats.frames === 0) {
+         return;
+     } 
+     const total = stats.last - stats.first;
+     const average = stats.frames > 1 ? total / (stats.frames - 1) : 0;
+     this.debugLog('frames', `${status}: ${stats.frames} frames in ${Math.round(total)}ms, ` +
+         `avg ${average.toFixed(1)}ms, longest ${stats.longest.toFixed(1)}ms, ${stats.longFrames} long, ` +
+         `write ${(stats.writeTime / stats.frames).toFixed(2)}ms/frame`, { element: animation.element, ...stats });
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Shows an on-page overlay that outlines every registered counter with its current state.
+     * DESCRIPTION:
+     *    - Adds a fixed, click-through layer (.counter-debug-overlay) to the page
+     *    - Outlines each counter and labels it with its state (waiting, running, paused, done), value, mode and renderer
+     *    - Refreshes ten times per second on the shared ticker, reading every position before writing the boxes
+     *    - Started by init() when debugOverlay is enabled, or by hand from the console
+     * 
+     * DEPENDENCIES:
+     *    - updateDebugOverlay() for the refresh loop
+     *    - DOM API (createElement, appendChild)
+     * 
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ showDebugOverlay() {
+     if (this.debugOverlay || typeof document === 'undefined' || !document.body) {
+         return;
+     } 
+     const container = document.createElement('div');
+     container.className = 'counter-debug-overlay';
+     container.setAttribute('aria-hidden', 'true');
+     container.style.cssText = 'position: fixed; top: 0; left: 0; width: 0; height: 0; overflow: visible; pointer-events: none; z-index: 2147483647;';
+     document.body.appendChild(container);
+     this.debugOverlay = { container, boxes: new Map(), rows: [], time: null, frame: null };
+     this.updateDebugOverlay();
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Schedules the next refresh of the debug overlay.
+     * DESCRIPTION:
+     *    - Read phase: measures every counter and describes its state
+     *    - Write phase: creates, moves and labels the outline boxes, and removes the boxes of unregistered counters
+     *    - Notify phase: schedules the next refresh while the overlay is shown
+     * 
+     * DEPENDENCIES:
+     *    - requestFrame() with a 100ms interval
+     *    - describeDebugState() for the labels
+     * 
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ updateDebugOverlay() {
+     const overlay = this.debugOverlay;
+     overlay.frame = CounterAnimator.requestFrame({
+         interval: 100,
+         since: overlay.time,
+         read: time => {
+             overlay.time = time;
+             overlay.rows = Array.from(this.elements).map(element => ({
+                 element,
+                 rect: element.getBoundingClientRect(),
+                 state: this.describeDebugState(element)
+             }));
+         },
+         write: () => {
+             const colors = { waiting: '#757575', running: '#ef6c00', paused: '#7b1fa2', done: '#2e7d32' };
+             const shown = new Set();
+             
+             overlay.rows.forEach(({ element, rect, state }) => {
+                 let box = overlay.boxes.get(element);
+                 if (!box) {
+                     box = document.createElement('div');
+                     box.appendChild(document.createElement('span'));
+                     overlay.container.appendChild(box);
+                     overlay.boxes.set(element, box);
+                 } 
+                 shown.add(element);
+                 const color = colors[state.status];
+                 box.style.cssText = `position: absolute; left: ${rect.left}px; top: ${rect.top}px; width: ${rect.width}px; height: ${rect.height}px; ` +
+                     `outline: 1px dashed ${color}; display: ${rect.width || rect.height ? 'block' : 'none'};`;
+                 box.firstChild.style.cssText = `position: absolute; left: 0; bottom: 100%; padding: 0 4px; font: 11px/14px monospace; white-space: nowrap; color: #fff; background: ${color};`;
+                 box.firstChild.textContent = state.label;
+             });
+             overlay.boxes.forEach((box, element) => {
+                 if (!shown.has(element)) {
+                     overlay.container.removeChild(box);
+                     overlay.boxes.delete(element);
+                 }
+             });
+         },
+         notify: () => {
+             if (this.debugOverlay === overlay) {
+                 this.updateDebugOverlay();
+             }
+         }
+     });
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Describes the state of a counter for the debug overlay.
+     * DESCRIPTION:
+     *    - waiting: registered, not animated yet (shows the target)
+     *    - running / paused: in flight (shows the current value, the target and the progress)
+     *    - done: animated (shows the displayed value)
+     *    - Adds the animation mode and the renderer name
+     * 
+     * DEPENDENCIES:
+     *    - resolveConfig() and formatValue()
+     * 
+     * @param {HTMLElement} element The counter element
+     * @return {Object} Returns { status, label }
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ describeDebugState(element) {
+     const animation = this.animations.get(element);
+     const config = animation ? animation.config : this.resolveConfig(element);
+     const renderer = typeof config.renderer === 'string' ? config.renderer : 'custom';
+     let status;
+     let detail;
+     
+     if (animation) {
+         status = animation.paused ? 'paused' : 'running';
+         detail = `${this.formatValue(animation.currentValue, config)} → ${this.formatValue(animation.targetValue, config)} (${Math.round(animation.progress * 100)}%)`;
+     } else if (element.dataset.animated === 'true') {
+         status = 'done';
+         detail = this.formatValue(this.getDisplayedValue(element), config);
+     } else {
+         status = 'waiting';
+         detail = this.formatValue(this.targetValues.get(element) || 0, config);
+     } 
+     return { status, label: `${status} ${detail} | ${config.mode} | ${renderer}` };
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Removes the debug overlay from the page.
+     * DESCRIPTION:
+     *    - Stops the refresh loop and removes the overlay layer
+     *    - Called by destroy()
+     * 
+     * DEPENDENCIES:
+     *    - cancelFrame() for the refresh loop
+     * 
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ hideDebugOverlay() {
+     const overlay = this.debugOverlay;
+     if (!overlay) {
+         return;
+     } 
+     CounterAnimator.cancelFrame(overlay.frame);
+     if (overlay.container.parentNode) {
+         overlay.container.parentNode.removeChild(overlay.container);
+     } 
+     this.debugOverlay = null;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Displays a counter value with the configured renderer.
+     * DESCRIPTION:
+     *    - Resolves the renderer option through getRenderer() and calls its render(element, frame, animator)
+     *    - The frame carries { value, formatted, progress, prefix, suffix, config }
+     *    - Remembers the rendered frame so the value can be redrawn later (e.g. when a trend glyph is removed)
+     *    - Records the text read back by the renderer so watch mode can tell animator writes from external changes
+     * 
+     * DEPENDENCIES:
+     *    - getRenderer() for renderer resolution
+     *    - readText() for the rendered text
+     * 
+     * @param {HTMLElement} element The DOM element to render into
+     * @param {Object} frame The frame to display ({ value, formatted, progress, prefix, suffix, config })
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ renderValue(element, frame) {
+     const renderer = this.getRenderer(frame.config.renderer);
+     this.renderedParts.set(element, frame);
+     renderer.render(element, frame, this);
+     this.renderedText.set(element, this.readText(element, frame.config));
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Resolves a renderer option into a renderer object.
+     * DESCRIPTION:
+     *    - Accepts a renderer object with render(element, frame, animator) and an optional read(element, config, animator)
+     *    - Wraps a plain function (element, frame) into a renderer, useful for canvas or custom markup
+     *    - Looks up names in the global renderer registry
+     *    - Falls back to the text renderer for unknown names
+     * 
+     * DEPENDENCIES:
+     *    - getRenderers() for the global registry
+     * 
+     * @param {string|Object|Function} renderer The renderer option
+     * @return {Object} Returns the renderer ({ render, read })
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getRenderer(renderer) {
+     if (typeof renderer === 'function') {
+         return { render: renderer };
+     } 
+     if (renderer && typeof renderer === 'object' && typeof renderer.render === 'function') {
+         return renderer;
+     } 
+     const renderers = CounterAnimator.getRenderers();
+     return Object.prototype.hasOwnProperty.call(renderers, renderer) ? renderers[renderer] : renderers.text;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Reads the counter text of an element the way its renderer displays it.
+     * DESCRIPTION:
+     *    - Uses the read() method of the renderer when it has one (template value node, input value, ...)
+     *    - Falls back to the element text content
+     *    - Lets counters keep child markup: only the text of the value is parsed
+     * 
+     * DEPENDENCIES:
+     *    - getRenderer() for renderer resolution
+     *    - resolveConfig() for the element configuration
+     * 
+     * @param {HTMLElement} element The counter element
+     * @param {Object} config Optional effective configuration (defaults to the element configuration)
+     * @return {string} Returns the counter text
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ readText(element, config = this.resolveConfig(element)) {
+     const renderer = this.getRenderer(config.renderer);
+     const text = renderer.read ? renderer.read(element, config, this) : null;
+     return text !== null && text !== undefined ? String(text) : element.textContent;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Provides the built-in renderers available to the renderer option.
+     * DESCRIPTION:
+     *    - text: writes prefix + value + suffix as the element text content
+     *    - template: only updates the value node and keeps the surrounding markup (e.g. a currency <span>);
+     *      the template option ('<span class="cur">Kz</span> {value}') creates that markup
+     *    - odometer: rolling digit columns
+     *    - svg: writes into the SVG <text> element (or the first <text> inside the element)
+     *    - attribute: writes the text into an attribute (renderTarget, default data-value)
+     *    - css-var: writes the raw value into a CSS custom property (renderTarget, default --counter-value)
+     *    - value: sets the value of <input> (text), <progress> and <meter> (number) elements
+     *    - Lazily builds the registry once; registerRenderer() adds more
+     * 
+     * DEPENDENCIES:
+     *    - writeText() for the text renderer
+     *    - getTemplateNode() for the template renderer
+     *    - renderOdometer() for the odometer renderer
+     * 
+     * @return {Object} Returns the renderers keyed by name
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static getRenderers() {
+     if (CounterAnimator.rendererRegistry) {
+         return CounterAnimator.rendererRegistry;
+     } 
+     const text = frame => frame.prefix + frame.formatted + frame.suffix;
+     const svgText = element => (element.tagName.toLowerCase() === 'text' ? element : element.querySelector('text')) || element;
+     
+     CounterAnimator.rendererRegistry = {
+         text: {
+             render: (element, frame, animator) => animator.writeText(element, text(frame))
+         },
+         template: {
+             render: (element, frame, animator) => {
+                 const node = animator.getTemplateNode(element, frame.config, true);
+                 // Keep the whitespace around the value in the markup
+                 const [, before, , after] = node.textContent.match(/^(\s*)([\s\S]*?)(\s*)$/);
+                 const value = before + text(frame) + after;
+                 if (node.textContent !== value) {
+                     node.textContent = value;
+                 }
+             },
+             read: (element, config, animator) => {
+                 const node = animator.getTemplateNode(element, config, false);
+                 return node ? node.textContent : null;
+             }
+         },
+         odometer: {
+             render: (element, frame, animator) => animator.renderOdometer(element, frame.prefix, frame.formatted, frame.suffix, frame.config, frame.value),
+             read: (element, config, animator) => {
+                 const state = animator.odometers.get(element);
+                 return state && state.root.parentNode === element ? state.label.textContent : null;
+             }
+         },
+         svg: {
+             render: (element, frame) => {
+                 const node = svgText(element);
+                 if (node.textContent !== text(frame)) {
+                     node.textContent = text(frame);
+                 }
+             },
+             read: element => svgText(element).textContent
+         },
+         attribute: {
+             render: (element, frame) => element.setAttribute(frame.config.renderTarget || 'data-value', text(frame)),
+             read: (element, config) => element.getAttribute(config.renderTarget || 'data-value')
+         },
+         'css-var': {
+             render: (element, frame) => {
+                 const factor = Math.pow(10, frame.config.numberFormat.decimals || 0);
+                 element.style.setProperty(frame.config.renderTarget || '--counter-value', String(Math.round(frame.value * factor) / factor));
+             },
+             read: (element, config) => element.style.getPropertyValue(config.renderTarget || '--counter-value') || null
+         },
+         value: {
+             render: (element, frame) => {
+                 // <progress> and <meter> only accept numbers
+                 const numeric = /^(progress|meter)$/i.test(element.tagName);
+                 const value = numeric ? String(frame.value) : text(frame);
+                 if (String(element.value) !== value) {
+                     element.value = value;
+                 }
+             },
+             read: element => element.value
+         }
+     };
+     return CounterAnimator.rendererRegistry;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Registers a named renderer available to every CounterAnimator instance.
+     * DESCRIPTION:
+     *    - Adds or replaces an entry of the global renderer registry
+     *    - The name can then be used in the renderer option and in data-renderer attributes
+     *    - A plain function (element, frame, animator) is wrapped into { render }
+     * 
+     * DEPENDENCIES:
+     *    - getRenderers() for the global registry
+     * 
+     * @param {string} name The renderer name
+     * @param {Object|Function} renderer The renderer ({ render, read }) or a render function
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static registerRenderer(name, renderer) {
+     const entry = typeof renderer === 'function' ? { render: renderer } : renderer;
+     if (typeof name !== 'string' || name === '' || !entry || typeof entry.render !== 'function') {
+         throw new TypeError('CounterAnimator.registerRenderer() expects a name and a render function');
+     } 
+     CounterAnimator.getRenderers()[name] = entry;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Finds the node that holds the value of a counter rendered with the template renderer.
+     * DESCRIPTION:
+     *    - Uses a .counter-value or [data-counter-value] child when the markup has one
+     *    - Otherwise uses the first text node that contains a digit, so existing markup is kept
+     *    - With the template option, fills the element with the template on first render,
+     *      replacing {value} with a .counter-value span
+     * 
+     * DEPENDENCIES:
+     *    - normalizeDigits() for non-Latin digits
+     *    - Element.querySelector and childNodes
+     * 
+     * @param {HTMLElement} element The counter element
+     * @param {Object} config The effective configuration
+     * @param {boolean} create Whether the template may be applied when no value node exists
+     * @return {Node|null} Returns the value node or null when none exists
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getTemplateNode(element, config, create) {
+     const cached = this.templateNodes.get(element);
+     if (cached && element.contains(cached)) {
+         return cached;
+     } 
+     const findText = parent => {
+         for (const child of Array.from(parent.childNodes)) {
+             if (child.nodeType === 3 && /\d/.test(this.normalizeDigits(child.data))) {
+                 return child;
+             } 
+             const found = child.nodeType === 1 ? findText(child) : null;
+             if (found) {
+                 return found;
+             }
+         } 
+         return null;
+     };
+     let node = element.querySelector('.counter-value, [data-counter-value]') || (config.template ? null : findText(element));
+     
+     if (!node && create) {
+         if (config.template) {
+             element.innerHTML = config.template.replace('{value}', '<span class="counter-value"></span>');
+             node = element.querySelector('.counter-value');
+         } 
+         // No digit in the markup: append a text node for the value
+         if (!node) {
+             node = element.appendChild(document.createTextNode(''));
+         }
+     } 
+     if (node) {
+         this.templateNodes.set(element, node);
+     } 
+     return node;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Renders a counter value as rolling digit columns, like an odometer.
+     * DESCRIPTION:
+     *    - Splits the formatted value into cells: every digit gets a column holding a 0-9 strip,
+     *      separators, decimal marks, signs and symbols are static cells
+     *    - Moves each strip with a CSS transform, the transition makes changed digits roll vertically
+     *    - Rolls forward while the value grows (9 → 0 moves on to the next 0) and backward while it shrinks;
+     *      the strip holds two rounds of digits and jumps to the matching round without transition when one runs out
+     *    - Matches cells from the right, so new leading digits (999 → 1 000) are added on the left
+     *    - Only touches the cells whose digit or character changed
+     *    - Keeps the full text in a visually hidden label for screen readers, the columns are aria-hidden
+     *    - Disables the rolling transition when motion should be reduced
+     * 
+     * DEPENDENCIES:
+     *    - Configuration options (odometer)
+     *    - createOdometerCell() for new cells
+     *    - shouldReduceMotion() for the transition
+     *    - CSS transforms and transitions
+     * 
+     * @param {HTMLElement} element The DOM element to render into
+     * @param {string} prefix The prefix text
+     * @param {string} formattedValue The value formatted by formatValue()
+     * @param {string} suffix The suffix text
+     * @param {Object} config The effective configuration
+     * @param {number} value Optional numeric value of the frame, used for the roll direction
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/transform
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ renderOdometer(element, prefix, formattedValue, suffix, config, value) {
+     const options = { ...this.defaults.odometer, ...config.odometer };
+     const transition = this.shouldReduceMotion(config) ? 'none' : `transform ${options.duration}ms ${options.easing}`;
+     let state = this.odometers.get(element); 
+     // Build the structure on first use or when other code replaced the content
+     if (!state || state.root.parentNode !== element) {
+         const span = className => {
+             const node = document.createElement('span');
+             node.className = className;
+             return node;
+         };
+         state = {
+             label: span('counter-odometer-label'),
+             root: span('counter-odometer'),
+             prefix: span('counter-odometer-prefix'),
+             number: span('counter-odometer-number'),
+             suffix: span('counter-odometer-suffix'),
+             cells: [],
+             value: null
+         };
+         state.label.style.cssText = 'position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
+         state.root.setAttribute('aria-hidden', 'true');
+         state.root.style.cssText = 'display: inline-block; white-space: nowrap;';
+         state.root.appendChild(state.prefix);
+         state.root.appendChild(state.number);
+         state.root.appendChild(state.suffix);
+         element.textContent = '';
+         element.appendChild(state.label);
+         element.appendChild(state.root);
+         this.odometers.set(element, state);
+     } 
+     const text = prefix + formattedValue + suffix;
+     if (state.label.textContent !== text) {
+         state.label.textContent = text;
+     } 
+     if (state.prefix.textContent !== prefix) {
+         state.prefix.textContent = prefix;
+     } 
+     if (state.suffix.textContent !== suffix) {
+         state.suffix.textContent = suffix;
+     } 
+     const chars = Array.from(formattedValue);
+     const cells = state.cells;
+     const up = !(Number.isFinite(value) && state.value !== null && value < state.value);
+     const move = (cell, position, cellTransition) => {
+         if (cell.transition !== cellTransition) {
+             cell.strip.style.transition = cellTransition;
+             cell.transition = cellTransition;
+         } 
+         cell.strip.style.transform = `translateY(${-position * 5}%)`;
+         cell.position = position;
+     };
+     if (Number.isFinite(value)) {
+         state.value = value;
+     } 
+     // Drop leading cells the value no longer needs (1 000 → 999)
+     while (cells.length > chars.length) {
+         state.number.removeChild(cells.shift().node);
+     } 
+     for (let i = 1; i <= chars.length; i++) {
+         const char = chars[chars.length - i];
+         const digit = /[0-9]/.test(char) ? Number(char) : null;
+         let cell = cells[cells.length - i];
+         
+         if (!cell) {
+             // New leading cell
+             cell = this.createOdometerCell(char, digit);
+             state.number.insertBefore(cell.node, state.number.firstChild);
+             cells.unshift(cell);
+         } else if ((cell.digit === null) !== (digit === null)) {
+             // Digit ↔ symbol change: replace the cell
+             const replacement = this.createOdometerCell(char, digit);
+             state.number.insertBefore(replacement.node, cell.node);
+             state.number.removeChild(cell.node);
+             cells[cells.length - i] = replacement;
+             cell = replacement;
+         } 
+         if (digit === null) {
+             if (cell.char !== char) {
+                 cell.node.textContent = char;
+                 cell.char = char;
+             }
+         } else if (cell.digit !== digit) {
+             if (cell.position === undefined) {
+                 move(cell, digit, transition);
+             } else {
+                 const steps = up ? (digit - cell.digit + 10) % 10 : -((cell.digit - digit + 10) % 10);
+                 if (cell.position + steps > 19 || cell.position + steps < 0) {
+                     // Same digit in the other round, committed before the roll starts
+                     move(cell, cell.position + (steps > 0 ? -10 : 10), 'none');
+                     void cell.strip.offsetHeight;
+                 } 
+                 move(cell, cell.position + steps, transition);
+             } 
+             cell.digit = digit;
+         }
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Creates one cell of the odometer renderer.
+     * DESCRIPTION:
+     *    - Digit cells are a one-digit high window over a vertical strip of two 0-9 rounds
+     *    - Other characters (separators, decimal mark, sign, symbols) are plain static cells
+     * 
+     * DEPENDENCIES:
+     *    - document.createElement
+     * 
+     * @param {string} char The character shown by the cell
+     * @param {number|null} digit The digit value, or null for static characters
+     * @return {Object} Returns the cell ({ node, strip, char, digit, position, transition })
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ createOdometerCell(char, digit) {
+     const node = document.createElement('span');
+     node.style.cssText = 'display: inline-block; vertical-align: top; height: 1.2em; line-height: 1.2em; overflow: hidden;';
+     
+     if (digit === null) {
+         node.className = 'counter-odometer-char';
+         node.textContent = char;
+         return { node, strip: null, char, digit: null };
+     } 
+     node.className = 'counter-odometer-digit';
+     const strip = document.createElement('span');
+     strip.className = 'counter-odometer-strip';
+     strip.style.cssText = 'display: block;';
+     for (let index = 0; index < 20; index++) {
+         const cell = document.createElement('span');
+         cell.style.cssText = 'display: block; height: 1.2em;';
+         cell.textContent = String(index % 10);
+         strip.appendChild(cell);
+     } 
+     node.appendChild(strip);
+     // Position is set by renderOdometer()
+     return { node, strip, char, digit: undefined, position: undefined, transition: undefined };
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Writes counter text into an element and remembers it as the last rendered text.
+     * DESCRIPTION:
+     *    - Updates the element text content, skipping the write when the text is unchanged
+     *    - Records the written text so watch mode can tell animator writes from external changes
+     * 
+     * DEPENDENCIES:
+     *    - WeakMap for rendered text tracking
+     * 
+     * @param {HTMLElement} element The DOM element to write to
+     * @param {string} text The text to display
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/Node/textContent
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ writeText(element, text) {
+     if (element.textContent !== text) {
+         element.textContent = text;
+     } 
+     this.renderedText.set(element, text);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Finalizes an animation by writing the exact target value and releasing its state.
+     * DESCRIPTION:
+     *    - Ensures the precise final value is displayed regardless of easing rounding (progress visual included)
+     *    - Triggers the start callback first when the animation completes before its start delay elapsed (stop, seek)
+     *    - Triggers the completion callback
+     *    - Removes visual effects applied during the animation and the width lock (hydration mode, lockWidth)
+     *    - Clears aria-busy so screen readers announce the final value
+     *    - Starts the hold time of the trend styling
+     *    - Removes the animation from the in-flight tracking map
+     *    - Settles the animation Promise as 'completed'
+     *    - Finishes all of the above when onStart, onComplete or a listener throws, then rethrows the error
+     * 
+     * DEPENDENCIES:
+     *    - formatValue() for number formatting
+     *    - removeVisualEffect() for cleanup
+     * 
+     * @param {Object} animation The animation state object created by animateElement()
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ completeAnimation(animation) {
+     const { element, config, targetValue, prefix, suffix } = animation;
+     let failure = null;
+     // A throwing callback still gets the counter cleaned up and its Promise settled (rethrown afterwards)
+     const attempt = callback => {
+         try {
+             callback();
+         } catch (error) {
+             failure = failure || error;
+         }
+     };
+     if (!animation.started) {
+         attempt(() => this.notifyStart(animation));
+     } 
+     this.animations.delete(element);
+     
+     // Ensure accurate final value
+     const finalValue = this.formatValue(targetValue, config);
+     this.renderValue(element, { value: targetValue, formatted: finalValue, progress: 1, prefix, suffix, config });
+     this.renderProgress(element, targetValue, config);
+     animation.currentValue = targetValue;
+     this.displayedValues.set(element, targetValue);
+     
+     // Completion callback
+     attempt(() => {
+         if (config.onComplete) {
+             config.onComplete(element, targetValue);
+         } 
+         this.emit(element, 'complete', { value: targetValue, formatted: finalValue, progress: 1, target: targetValue }, config);
+     });
+     // Remove visual effect
+     this.removeVisualEffect(element);
+     this.releaseWidth(element);
+     this.setBusy(element, false, config);
+     this.holdTrend(element);
+     this.debugLog('animation', `completed at ${targetValue}`, { element });
+     this.logFrameStats(animation, 'completed');
+     animation.settle({ element, value: targetValue, status: 'completed' });
+     if (failure) {
+         throw failure;
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Cancels the pending frame of an in-flight animation and forgets its state.
+     * DESCRIPTION:
+     *    - Removes the pending frame task from the shared ticker, if any
+     *    - Removes the animation from the in-flight tracking map and clears aria-busy
+     *    - Releases the width lock (hydration mode, lockWidth), as completeAnimation() does
+     *    - Keeps the displayed value, rewritten without the figure-space padding when it was padded
+     *    - Dispatches the counter:cancel event and settles the animation Promise as 'cancelled'
+     * 
+     * DEPENDENCIES:
+     *    - cancelFrame() for frame cancellation
+     *    - renderValue() for the unpadded value
+     *    - releaseWidth() for the width lock
+     * 
+     * @param {HTMLElement} element The DOM element whose animation should be cancelled
+     * @return {Object|null} Returns the cancelled animation state or null if none was running
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ cancelAnimation(element) {
+     const animation = this.animations.get(element);
+     if (!animation) {
+         return null;
+     } 
+     if (animation.frameId !== null) {
+         CounterAnimator.cancelFrame(animation.frameId);
+         animation.frameId = null;
+     } 
+     this.animations.delete(element);
+     if (animation.padLength > 0 && animation.formattedValue !== undefined) {
+         this.renderValue(element, {
+             value: animation.currentValue,
+             formatted: animation.formattedValue,
+             progress: animation.progress,
+             prefix: animation.prefix,
+             suffix: animation.suffix,
+             config: animation.config
+         });
+     } 
+     this.releaseWidth(element);
+     this.setBusy(element, false, animation.config);
+     this.emit(element, 'cancel', {
+         value: animation.currentValue,
+         formatted: this.formatValue(animation.currentValue, animation.config),
+         progress: animation.progress,
+         target: animation.targetValue
+     }, animation.config);
+     this.debugLog('animation', `cancelled at ${animation.currentValue}`, { element });
+     this.logFrameStats(animation, 'cancelled');
+     animation.settle({ element, value: animation.currentValue, status: 'cancelled' });
+     return animation;
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Returns the in-flight animation states for one element or for the whole instance.
+     * DESCRIPTION:
+     *    - Looks up the animation of a single element when one is given
+     *    - Returns every in-flight animation otherwise
+     *    - Used by pause(), resume(), stop() and seek() to share target resolution
+     * 
+     * DEPENDENCIES:
+     *    - Map data structure for animation tracking
+     * 
+     * @param {HTMLElement} element Optional DOM element to restrict the lookup to
+     * @return {Array} Returns an array of animation state objects
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getAnimations(element) {
+     if (element) {
+         const animation = this.animations.get(element);
+         return animation ? [animation] : [];
+     } 
+     return Array.from(this.animations.values());
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Animates all matching elements with optional staggered delays for sequential animation.
+     * DESCRIPTION:
+     *    - Animates all registered elements simultaneously or sequentially
+     *    - Applies configurable delays between elements for staggered animation effects
+     *    - Supports custom configuration overrides for batch operations
+     *    - Uses setTimeout for precise delay timing between element animations
+     *    - Ideal for creating wave-like animation effects across multiple counters
+     *    - Returns a Promise resolved with the results of every element once all animations have ended
+     * 
+     * DEPENDENCIES:
+     *    - Registered elements set
+     *    - animateElement() for individual element animation
+     *    - setTimeout for delay management
+     *    - Configuration options (delay, customConfig)
+     * 
+     * @param {Object} customConfig Optional custom configuration to override defaults
+     * @return {Promise<Array>} Returns a Promise resolved with the result of each element animation
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/setTimeout
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ animateAll(customConfig = {}) {
+     const elements = Array.from(this.elements);
+     const animationConfig = this.validateConfig(customConfig, 'animateAll() option');
+     const config = CounterAnimator.mergeConfig(this.config, animationConfig);
+     // delay staggers the elements here, it is not a start delay of each one
+     const { delay, ...elementOptions } = animationConfig;
+     
+     return Promise.all(elements.map((element, index) => new Promise(resolve => {
+         setTimeout(() => {
+             // Skip elements removed while waiting
+             if (this.elements.has(element)) {
+                 resolve(this.animateElement(element, elementOptions));
+             } else {
+                 resolve({ element, value: this.getDisplayedValue(element), status: 'cancelled' });
+             }
+         }, index * config.delay);
+     })));
+ }
+   
+ /**
+      * PURPOSE OF THE FUNCTION: Resets all animated counters to their original state and prepares them for re-animation.
+      * DESCRIPTION:
+      *    - Stops in-flight animations so they cannot overwrite the restored content
+      *    - Restores all elements to their original text (through their renderer) and target value before animation
+      *    - Clears animation state flags to allow re-animation
+      *    - Shows the start value again in hydration mode, so the next run starts without a flash
+      *    - Dispatches the counter:reset event on every element
+      *    - Removes visual effects and trend styling applied during previous animations
+      *    - Redraws the progress visual for the restored value (its target is looked up again)
+      *    - Clears internal tracking of animated elements
+      *    - Re-establishes intersection observer for automatic triggering
+      *    - Useful for dynamic content updates or page state resets
+      * 
+      * DEPENDENCIES:
+      *    - Registered elements set
+      *    - removeVisualEffect() for cleanup
+      *    - Intersection Observer API for re-observation
+      *    - Element dataset management
+      * 
+      * @return void
+      * 
+      * @link https://developer.mozilla.org/en-US/docs/Web/API/IntersectionObserver/observe
+      * @author syntax serenity <fs.developerfullstack@gmail.com>
+  */
+ reset() {
+      const elements = this.elements;
+      
+      this.stop();
+      elements.forEach(element => {
+          this.clearTrend(element);
+          this.releaseWidth(element);
+          this.renderValue(element, {
+              value: this.targetValues.get(element) || 0,
+              formatted: element.dataset.originalText || '0',
+              progress: 0,
+              prefix: '',
+              suffix: '',
+              config: this.resolveConfig(element)
+          });
+          // Targets changed by animateTo() go back to the markup value
+          element.dataset.animated = 'false';
+          this.readElementValue(element);
+          this.progressTargets.delete(element);
+          this.renderProgress(element, this.targetValues.get(element) || 0, this.resolveConfig(element));
+          this.emit(element, 'reset', {
+              value: this.targetValues.get(element),
+              formatted: element.dataset.originalText,
+              progress: 0,
+              target: this.targetValues.get(element)
+          });
+          this.removeVisualEffect(element);
+      }); 
+      this.hydrateElements(elements);
+      this.animatedElements.clear(); 
+      if (this.observer) {
+          elements.forEach(element => {
+              this.observer.observe(element);
+          });
+      }
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Pauses ongoing counter animations for one element or for the whole instance.
+     * DESCRIPTION:
+     *    - Cancels the pending animation frame while preserving the current counter value
+     *    - Stores the elapsed time so resume() continues exactly where the animation stopped
+     *    - Keeps visual effects and animation state for later resumption
+     *    - When called without an element, animations started later also begin paused until resume()
+     *    - Useful for modals, hidden tabs or other user interaction scenarios
+     * 
+     * DEPENDENCIES:
+     *    - getAnimations() for target resolution
+     *    - cancelFrame() for frame cancellation
+     *    - Performance API for elapsed time tracking
+     * 
+     * @param {HTMLElement} element Optional DOM element to pause (all animations when omitted)
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ pause(element) {
+     if (!element) {
+         this.paused = true;
+     } 
+     const now = performance.now();
+     this.getAnimations(element).forEach(animation => {
+         if (animation.paused) {
+             return;
+         } 
+         if (animation.frameId !== null) {
+             CounterAnimator.cancelFrame(animation.frameId);
+             animation.frameId = null;
+         } 
+         animation.elapsed = now - animation.startTime;
+         animation.paused = true;
+     });
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Resumes paused counter animations for one element or for the whole instance.
+     * DESCRIPTION:
+     *    - Shifts the animation start time by the paused interval so elapsed time is preserved
+     *    - Schedules the next animation frame for every resumed animation
+     *    - When called without an element, clears the instance-wide pause flag
+     * 
+     * DEPENDENCIES:
+     *    - getAnimations() for target resolution
+     *    - requestTick() for frame scheduling on the shared ticker
+     * 
+     * @param {HTMLElement} element Optional DOM element to resume (all animations when omitted)
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ resume(element) {
+     if (!element) {
+         this.paused = false;
+     } 
+     const now = performance.now();
+     this.getAnimations(element).forEach(animation => {
+         if (!animation.paused) {
+             return;
+         } 
+         animation.startTime = now - animation.elapsed;
+         animation.lastTime = null;
+         animation.paused = false;
+         this.requestTick(animation);
+     });
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Stops counter animations for one element or for the whole instance without completing them.
+     * DESCRIPTION:
+     *    - Cancels the pending animation frame and discards the animation state
+     *    - Leaves the counter showing the value it had when stopped (without figure-space padding)
+     *    - Removes visual effects and the width lock applied during the animation
+     *    - Starts the hold time of the trend styling, as a completed animation does
+     *    - The completion callback is not triggered
+     * 
+     * DEPENDENCIES:
+     *    - getAnimations() for target resolution
+     *    - cancelAnimation() for frame cancellation
+     *    - removeVisualEffect() for cleanup
+     *    - holdTrend() for the trend styling
+     * 
+     * @param {HTMLElement} element Optional DOM element to stop (all animations when omitted)
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ stop(element) {
+     this.getAnimations(element).forEach(animation => {
+         this.cancelAnimation(animation.element);
+         this.removeVisualEffect(animation.element);
+         this.holdTrend(animation.element);
+     });
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Moves counter animations to a given progress point for one element or for the whole instance.
+     * DESCRIPTION:
+     *    - Converts the requested progress (0 to 1) into elapsed time for each animation
+     *    - Renders the corresponding frame immediately, including while paused
+     *    - Running animations continue from the new position on the next frame
+     *    - Paused animations stay paused at the new position until resume()
+     *    - Spring mode animations are not affected, since their duration is not fixed
+     * 
+     * DEPENDENCIES:
+     *    - getAnimations() for target resolution
+     *    - renderFrame() for immediate display
+     *    - Performance API for start time adjustment
+     * 
+     * @param {number} progress The progress to move to (0 to 1)
+     * @param {HTMLElement} element Optional DOM element to seek (all animations when omitted)
+     * @return void
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ seek(progress, element) {
+     const clamped = Math.min(Math.max(Number(progress) || 0, 0), 1);
+     const now = performance.now();
+     this.getAnimations(element).forEach(animation => {
+         // Spring motion has no timeline to seek
+         if (animation.mode === 'spring') {
+             return;
+         } 
+         animation.elapsed = clamped * animation.config.duration;
+         animation.startTime = now - animation.elapsed;
+         this.renderFrame(animation);
+     });
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Completely destroys the CounterAnimator instance and cleans up all resources.
+     * DESCRIPTION:
+     *    - Stops all in-flight animations and cancels their pending frames
+     *    - Disposes all live data bindings and pending trend timers, removing the trend glyph from the text
+     *    - Removes the width reservations and the aria-live attributes added while animating
+     *    - Disconnects intersection observer to stop all automatic triggering
+     *    - Disconnects the watch mode mutation observer
+     *    - Stops listening to the prefers-reduced-motion media query
+     *    - Clears internal tracking of animated elements to free memory
+     *    - Removes all event listeners and observers
+     *    - Prepares the instance for garbage collection
+     *    - Essential for preventing memory leaks in single-page applications
+     *    - Should be called before removing the instance or page unload
+     * 
+     * DEPENDENCIES:
+     *    - Intersection Observer API (disconnect)
+     *    - Set data structure for memory cleanup
+     *    - Browser garbage collection optimization
+     * 
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/IntersectionObserver/disconnect
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ destroy() {
+     this.stop();
+     this.hideDebugOverlay();
+     Array.from(this.bindings.keys()).forEach(element => this.unbind(element));
+     // The glyph of a trend still on hold leaves the displayed text too
+     Array.from(this.trends.keys()).forEach(element => this.clearTrend(element, true));
+     this.elements.forEach(element => {
+         this.releaseWidth(element);
+         this.releaseAriaLive(element);
+     });
+     if (this.observer) {
+         this.observer.disconnect();
+     } 
+     if (this.mutationObserver) {
+         this.mutationObserver.disconnect();
+         this.mutationObserver = null;
+     } 
+     if (this.motionQuery) {
+         if (this.motionQuery.removeEventListener) {
+             this.motionQuery.removeEventListener('change', this.handleMotionChange);
+         } else {
+             this.motionQuery.removeListener(this.handleMotionChange);
+         } 
+         this.motionQuery = null;
+     }
+     this.animatedElements.clear();
+     this.elements.clear();
+     this.elementConfigs.clear();
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Extracts numeric values from text content using intelligent format detection and parsing.
+     * DESCRIPTION:
+     *    - Analyzes text content to identify and extract numeric values
+     *    - Converts Arabic-Indic, Devanagari and full-width digits to Latin digits first
+     *    - Uses the separators of numberFormat.inputLocale when configured
+     *    - Supports multiple number formats including different decimal separators
+     *    - Uses intelligent detection for automatic format recognition
+     *    - Handles various international number formatting conventions
+     *    - Provides fallback parsing for backward compatibility
+     *    - In debug mode, logs the text, the separators found, the branches taken and the result
+     *    - Essential for accurate animation value calculation
+     * 
+     * DEPENDENCIES:
+     *    - normalizeDigits() for digit conversion
+     *    - parseNumberWithLocale() for locale-aware parsing
+     *    - parseNumberWithKnownFormat() for specified format parsing
+     *    - smartNumberDetection() for automatic format recognition
+     *    - Regular expressions for pattern matching
+     *    - parseFloat for numeric conversion
+     * 
+     * @param {string} text The text content to extract numbers from
+     * @param {Object} format Optional number format options (defaults to the instance numberFormat)
+     * @return {number} Returns the extracted numeric value or 0 if none found
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/parseFloat
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ extractNumber(text, format = this.config.numberFormat) {
+     const cleanText = this.normalizeDigits(text.trim());
+     if (!this.isDebugEnabled('parse')) {
+         return this.parseNumberText(cleanText, format);
+     } 
+     // Debug: record the branches taken by the parsers
+     this.parseTrace = [];
+     const value = this.parseNumberText(cleanText, format);
+     const separators = {};
+     [[',', 'comma'], ['.', 'dot'], [' ', 'space'], ['\u00a0', 'nbsp'], ['\u202f', 'narrow nbsp'], ["'", 'apostrophe']].forEach(([char, name]) => {
+         const count = cleanText.split(char).length - 1;
+         if (count > 0) {
+             separators[name] = count;
+         }
+     });
+     this.debugLog('parse', `"${text.trim()}" read as ${value}`, { text, normalized: cleanText, separators, steps: this.parseTrace });
+     this.parseTrace = null;
+     return value;
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Parses normalized text into a number with the strategy selected by the number format.
+     * DESCRIPTION:
+     *    - Tries the separators of numberFormat.inputLocale first when configured
+     *    - Uses the known decimal separator when inputDecimalSeparator is not 'auto'
+     *    - Falls back to smart detection, or to the legacy first-number match when smartDetection is off
+     * 
+     * DEPENDENCIES:
+     *    - parseNumberWithLocale(), parseNumberWithKnownFormat() and smartNumberDetection()
+     *    - traceParse() for debug mode
+     * 
+     * @param {string} cleanText The text with Latin digits
+     * @param {Object} format The number format options
+     * @return {number} Returns the parsed value or 0 if none found
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ parseNumberText(cleanText, format) {
+     const config = format;
+     
+     // Locale-aware parsing
+     if (config.inputLocale) {
+         const locale = config.inputLocale === 'auto' ? config.locale : config.inputLocale;
+         const value = this.parseNumberWithLocale(cleanText, locale);
+         if (value !== null) {
+             return value;
+         }
+     } 
+     
+     // If the user specified the Decimal separator
+     if (config.inputDecimalSeparator !== 'auto') {
+         return this.parseNumberWithKnownFormat(cleanText, config.inputDecimalSeparator);
+     }
+     
+     // Intelligent automatic detection
+     if (config.smartDetection) {
+         return this.smartNumberDetection(cleanText);
+     }
+     
+     // Standard method (backward compatibility)
+     const matches = cleanText.match(/-?\d+([.,]\d+)?/);
+     return this.traceParse(matches ? parseFloat(matches[0].replace(',', '.')) : 0, 'smartDetection off: first number, comma read as decimal');
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Records a parsing decision while debug mode traces extractNumber().
+     * DESCRIPTION:
+     *    - Adds the step to the current trace, if any, and returns the value unchanged
+     *    - Lets the parsers write "return this.traceParse(value, step)" at each decision
+     * 
+     * DEPENDENCIES:
+     *    - parseTrace set by extractNumber()
+     * 
+     * @param {*} value The value returned by the parser
+     * @param {string} step The decision taken
+     * @return {*} Returns the value unchanged
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ traceParse(value, step) {
+     if (this.parseTrace) {
+         this.parseTrace.push(step);
+     } 
+     return value;
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Converts non-Latin decimal digits into Latin digits.
+     * DESCRIPTION:
+     *    - Supports Arabic-Indic (٠-٩), Extended Arabic-Indic (۰-۹), Devanagari (०-९) and full-width (０-９) digits
+     *    - Converts the Arabic decimal (٫) and thousands (٬) separators into '.' and ','
+     *    - Converts the Unicode minus sign into a hyphen-minus
+     *    - Leaves every other character untouched
+     * 
+     * DEPENDENCIES:
+     *    - Regular expressions with Unicode ranges
+     *    - String.fromCharCode for digit conversion
+     * 
+     * @param {string} text The text to normalize
+     * @return {string} Returns the text with Latin digits
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/replace
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ normalizeDigits(text) {
+     return text
+         .replace(/[\u0660-\u0669\u06f0-\u06f9\u0966-\u096f\uff10-\uff19]/g, digit => {
+             const code = digit.charCodeAt(0);
+             const zero = code >= 0xff10 ? 0xff10 : code >= 0x0966 ? 0x0966 : code >= 0x06f0 ? 0x06f0 : 0x0660;
+             return String.fromCharCode(48 + code - zero);
+         })
+         .replace(/\u066b/g, '.')
+         .replace(/\u066c/g, ',')
+         .replace(/\u2212/g, '-');
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Returns the grouping and decimal symbols a locale uses, derived from Intl.
+     * DESCRIPTION:
+     *    - Formats a sample number with Intl.NumberFormat and reads the group and decimal parts
+     *    - Caches the symbols per locale
+     *    - Returns null when Intl is unavailable or the locale is invalid
+     * 
+     * DEPENDENCIES:
+     *    - Intl.NumberFormat formatToParts
+     *    - Map for symbol caching
+     * 
+     * @param {string} locale The BCP 47 locale
+     * @return {Object|null} Returns { group, decimal } or null
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/NumberFormat/formatToParts
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getLocaleSymbols(locale) {
+     if (this.localeSymbols.has(locale)) {
+         return this.localeSymbols.get(locale);
+     } 
+     let symbols = null;
+     try {
+         const parts = new Intl.NumberFormat(locale, { useGrouping: true }).formatToParts(1234567.5);
+         const group = parts.find(part => part.type === 'group');
+         const decimal = parts.find(part => part.type === 'decimal');
+         // Arabic separators are normalized like the digits
+         symbols = {
+             group: group ? this.normalizeDigits(group.value) : '',
+             decimal: decimal ? this.normalizeDigits(decimal.value) : '.'
+         };
+     } catch (error) {
+         console.warn(`CounterAnimator: cannot read number symbols of locale "${locale}"`, error);
+     } 
+     this.localeSymbols.set(locale, symbols);
+     return symbols;
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Parses a number written with the separators of a given locale.
+     * DESCRIPTION:
+     *    - Removes the locale grouping symbol, treating every space variant as the same group symbol
+     *      and both apostrophes as the same group symbol (Swiss 1'000)
+     *    - Works with any grouping size, including Indian lakh grouping (12,34,567)
+     *    - Splits on the locale decimal symbol and parses the result
+     *    - Returns null (and reports it in debug mode) when the text uses separators foreign to the locale,
+     *      so the caller can fall back to heuristic detection
+     * 
+     * DEPENDENCIES:
+     *    - getLocaleSymbols() for locale symbols
+     *    - Regular expressions for validation
+     *    - parseFloat for numeric conversion
+     * 
+     * @param {string} text The text containing the number (Latin digits)
+     * @param {string} locale The BCP 47 locale the text is written in
+     * @return {number|null} Returns the parsed value, or null if the text does not match the locale
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/NumberFormat
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ parseNumberWithLocale(text, locale) {
+     const symbols = locale ? this.getLocaleSymbols(locale) : null;
+     if (!symbols) {
+         return null;
+     } 
+     const match = text.match(/-?\d(?:[\d.,'\u2019\s\u00a0\u202f]*\d)?/);
+     if (!match) {
+         return this.traceParse(0, 'parseNumberWithLocale: no digits');
+     } 
+     const parts = match[0].split(symbols.decimal);
+     let integerPart = parts[0];
+     
+     if (/[\s\u00a0\u202f]/.test(symbols.group)) {
+         integerPart = integerPart.replace(/[\s\u00a0\u202f]/g, '');
+     } else if (/['\u2019]/.test(symbols.group)) {
+         integerPart = integerPart.replace(/['\u2019]/g, '');
+     } else if (symbols.group) {
+         integerPart = integerPart.split(symbols.group).join('');
+     } 
+     // Separators that the locale does not use
+     if (parts.length > 2 || !/^-?\d+$/.test(integerPart) || (parts.length === 2 && !/^\d+$/.test(parts[1]))) {
+         this.debugLog('parse', `"${text}" does not match the separators of locale "${locale}", using automatic detection`, undefined, 'warn');
+         return this.traceParse(null, `parseNumberWithLocale: no match for locale "${locale}"`);
+     } 
+     return this.traceParse(parseFloat(parts.length === 2 ? integerPart + '.' + parts[1] : integerPart),
+         `parseNumberWithLocale: locale "${locale}", group "${symbols.group}", decimal "${symbols.decimal}"`);
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Intelligently detects and parses number formats from text content using pattern analysis.
+     * DESCRIPTION:
+     *    - Analyzes text patterns to determine the correct number format automatically
+     *    - Counts separators to distinguish between decimal and thousands separators
+     *    - Handles mixed separator scenarios with intelligent logic
+     *    - Provides robust parsing for international number formats
+     *    - Falls back to standard parsing for simple cases
+     *    - Reports ambiguous input such as "1.500" in debug mode
+     *    - Essential for accurate number extraction without manual format specification
+     * 
+     * DEPENDENCIES:
+     *    - Regular expressions for separator counting
+     *    - parseWithCommaSeparator() for comma-based parsing
+     *    - parseWithDotSeparator() for dot-based parsing
+     *    - parseWithMixedSeparators() for complex scenarios
+     * 
+     * @param {string} text The text content to analyze for number format
+     * @return {number} Returns the parsed numeric value or 0 if parsing fails
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/replace
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ smartNumberDetection(text) {
+     // Remove non-numeric characters except commas, periods and signs
+     const cleanText = text.replace(/[^\d.,-]/g, '');
+     
+     // Simple cases without separators
+     if (!/[.,]/.test(cleanText)) {
+         return this.traceParse(parseFloat(cleanText) || 0, 'smartNumberDetection: no comma or dot');
+     }
+     
+     // Count commas and periods
+     const commaCount = (cleanText.match(/,/g) || []).length;
+     const dotCount = (cleanText.match(/\./g) || []).length;
+     
+     // "1,500" and "1.500" can be read both ways
+     if (/^-?\d{1,3}[.,]\d{3}$/.test(cleanText)) {
+         this.debugLog('parse', `ambiguous number "${text}", read as thousands. Set numberFormat.inputLocale or inputDecimalSeparator to remove the ambiguity`, undefined, 'warn');
+     }
+     
+     // Cases with only one type of separator
+     if (commaCount > 0 && dotCount === 0) {
+         return this.parseWithCommaSeparator(cleanText);
+     }
+     
+     if (dotCount > 0 && commaCount === 0) {
+         return this.parseWithDotSeparator(cleanText);
+     }
+     
+     // Cases with both separators
+     if (commaCount > 0 && dotCount > 0) {
+         return this.parseWithMixedSeparators(cleanText);
+     }
+     
+     return 0;
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Parses numbers that use commas as separators, intelligently determining if they are decimal or thousands separators.
+     * DESCRIPTION:
+     *    - Analyzes comma usage patterns to determine separator function
+     *    - Handles single comma scenarios (decimal vs thousands separator)
+     *    - Uses digit count analysis to make intelligent decisions
+     *    - Supports multiple comma scenarios for thousands separators
+     *    - Provides fallback logic for edge cases
+     *    - Essential for accurate parsing of comma-based number formats
+     * 
+     * DEPENDENCIES:
+     *    - Regular expressions for comma counting
+     *    - String splitting and manipulation
+     *    - parseFloat for numeric conversion
+     *    - Digit length analysis logic
+     * 
+     * @param {string} text The text containing comma-separated numbers
+     * @return {number} Returns the parsed numeric value
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/split
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ parseWithCommaSeparator(text) {
+     const commaCount = (text.match(/,/g) || []).length;
+     
+     // If there is only one comma, it can be decimal or thousands
+     if (commaCount === 1) {
+         const parts = text.split(',');
+         const beforeComma = parts[0];
+         const afterComma = parts[1];
+         
+         // If the part after the comma has 1-2 digits, it is probably decimal
+         if (afterComma.length <= 2 && beforeComma.length <= 3) {
+             return this.traceParse(parseFloat(beforeComma + '.' + afterComma), 'parseWithCommaSeparator: one comma followed by 1-2 digits, decimal comma');
+         }
+         
+         // If the part after the comma has 3 digits, it is probably Thousands separator
+         if (afterComma.length === 3) {
+             return this.traceParse(parseFloat(beforeComma + afterComma), 'parseWithCommaSeparator: one comma followed by 3 digits, thousands comma');
+         }
+         
+         // Default: treat as decimal if <= 2 digits after comma
+         if (afterComma.length <= 2) {
+             return this.traceParse(parseFloat(beforeComma + '.' + afterComma), 'parseWithCommaSeparator: one comma followed by 1-2 digits after a long integer part, decimal comma');
+         }
+     }
+     
+     // Multiple commas = thousands separators
+     return this.traceParse(parseFloat(text.replace(/,/g, '')), 'parseWithCommaSeparator: commas read as thousands separators');
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Parses numbers that use dots as separators, intelligently determining if they are decimal or thousands separators.
+     * DESCRIPTION:
+     *    - Analyzes dot usage patterns to determine separator function
+     *    - Handles single dot scenarios (decimal vs thousands separator)
+     *    - Uses digit count analysis to make intelligent decisions
+     *    - Supports multiple dot scenarios for thousands separators
+     *    - Provides fallback logic for complex dot patterns
+     *    - Essential for accurate parsing of dot-based number formats
+     * 
+     * DEPENDENCIES:
+     *    - Regular expressions for dot counting
+     *    - String splitting and manipulation
+     *    - parseFloat for numeric conversion
+     *    - lastIndexOf for position analysis
+     * 
+     * @param {string} text The text containing dot-separated numbers
+     * @return {number} Returns the parsed numeric value
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/lastIndexOf
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ parseWithDotSeparator(text) {
+     const dotCount = (text.match(/\./g) || []).length;
+     
+     // If there is only one point, it can be decimal or thousands
+     if (dotCount === 1) {
+         const parts = text.split('.');
+         const beforeDot = parts[0];
+         const afterDot = parts[1];
+         
+         // If the part after the period has 1-2 digits, it is probably decimal
+         if (afterDot.length <= 2 && beforeDot.length <= 3) {
+             return this.traceParse(parseFloat(text), 'parseWithDotSeparator: one dot followed by 1-2 digits, decimal dot');
+         }
+         
+         // If the part after the period has 3 digits, it is probably Thousands separator
+         if (afterDot.length === 3) {
+             return this.traceParse(parseFloat(beforeDot + afterDot), 'parseWithDotSeparator: one dot followed by 3 digits, thousands dot');
+         }
+         
+         // Default: Treat as decimal
+         return this.traceParse(parseFloat(text), 'parseWithDotSeparator: one dot, decimal dot by default');
+     }
+     
+     // Multiple periods = thousands separators, last can be decimal
+     const lastDotIndex = text.lastIndexOf('.');
+     const beforeLastDot = text.substring(0, lastDotIndex).replace(/\./g, '');
+     const afterLastDot = text.substring(lastDotIndex + 1);
+     
+     // If the last part has 1-2 digits, it is probably decimal
+     if (afterLastDot.length <= 2) {
+         return this.traceParse(parseFloat(beforeLastDot + '.' + afterLastDot), 'parseWithDotSeparator: several dots, last one followed by 1-2 digits, decimal dot');
+     }
+     
+     // Otherwise, they are all thousands separators.
+     return this.traceParse(parseFloat(text.replace(/\./g, '')), 'parseWithDotSeparator: dots read as thousands separators');
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Parses numbers with mixed comma and dot separators, intelligently determining decimal and thousands separators.
+     * DESCRIPTION:
+     *    - Analyzes text with both comma and dot separators
+     *    - Determines decimal separator based on last occurrence position
+     *    - Handles complex international number formats
+     *    - Provides robust parsing for mixed separator scenarios
+     *    - Supports various regional formatting conventions
+     *    - Essential for accurate parsing of complex number formats
+     * 
+     * DEPENDENCIES:
+     *    - lastIndexOf for position analysis
+     *    - String manipulation and replacement
+     *    - parseFloat for numeric conversion
+     *    - Position-based logic for separator determination
+     * 
+     * @param {string} text The text containing mixed comma and dot separators
+     * @return {number} Returns the parsed numeric value
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/lastIndexOf
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ parseWithMixedSeparators(text) {
+     const lastCommaIndex = text.lastIndexOf(',');
+     const lastDotIndex = text.lastIndexOf('.');
+     
+     // Determine which is the Decimal separator (the last one)
+     if (lastCommaIndex > lastDotIndex) {
+         // Comma is decimal, periods are thousands separators
+         const beforeComma = text.substring(0, lastCommaIndex).replace(/\./g, '');
+         const afterComma = text.substring(lastCommaIndex + 1);
+         return this.traceParse(parseFloat(beforeComma + '.' + afterComma), 'parseWithMixedSeparators: comma after the last dot, decimal comma and thousands dots');
+     } else {
+         // Period is decimal, commas are thousands separators
+         const beforeDot = text.substring(0, lastDotIndex).replace(/,/g, '');
+         const afterDot = text.substring(lastDotIndex + 1);
+         return this.traceParse(parseFloat(beforeDot + '.' + afterDot), 'parseWithMixedSeparators: dot after the last comma, decimal dot and thousands commas');
+     }
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Parses numbers with a known decimal separator format for precise number extraction.
+     * DESCRIPTION:
+     *    - Uses specified decimal separator to accurately parse number formats
+     *    - Automatically determines thousands separator based on decimal separator
+     *    - Ignores spaces, non-breaking spaces and apostrophes used as grouping
+     *    - Handles cases with and without decimal parts
+     *    - Provides reliable parsing for known format specifications
+     *    - Essential for consistent number parsing in controlled environments
+     *    - Supports both comma and dot decimal separator conventions
+     * 
+     * DEPENDENCIES:
+     *    - lastIndexOf for decimal separator position
+     *    - Regular expressions for thousands separator removal
+     *    - parseFloat for numeric conversion
+     *    - String manipulation for parts separation
+     * 
+     * @param {string} text The text containing the number to parse
+     * @param {string} decimalSeparator The known decimal separator (',' or '.')
+     * @return {number} Returns the parsed numeric value
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/RegExp
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ parseNumberWithKnownFormat(text, decimalSeparator) {
+     const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+     // Spaces, NBSP and apostrophes (Swiss 1'000) are always grouping
+     text = text.replace(/[\s\u00a0\u202f'\u2019]/g, '');
+     
+     // Find the last occurrence of the Decimal separator
+     const lastDecimalIndex = text.lastIndexOf(decimalSeparator);
+     
+     if (lastDecimalIndex === -1) {
+         // No Decimal separator, just remove thousands separators
+         return this.traceParse(parseFloat(text.replace(new RegExp(`\\${thousandsSeparator}`, 'g'), '')), `parseNumberWithKnownFormat: no decimal "${decimalSeparator}", "${thousandsSeparator}" read as thousands`);
+     }
+     
+     // Separate whole and decimal parts
+     const integerPart = text.substring(0, lastDecimalIndex).replace(new RegExp(`\\${thousandsSeparator}`, 'g'), '');
+     const decimalPart = text.substring(lastDecimalIndex + 1);
+     return this.traceParse(parseFloat(integerPart + '.' + decimalPart), `parseNumberWithKnownFormat: decimal "${decimalSeparator}", "${thousandsSeparator}" read as thousands`);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Extracts prefix characters from text content that appear before numeric values.
+     * DESCRIPTION:
+     *    - Identifies and extracts non-numeric characters at the beginning of text
+     *    - Preserves currency symbols, text labels, and other prefixes
+     *    - Uses regular expressions for accurate pattern matching
+     *    - Handles edge cases with negative numbers and special characters
+     *    - Essential for maintaining text formatting during animations
+     *    - Supports various prefix types (currency, labels, symbols)
+     * 
+     * DEPENDENCIES:
+     *    - Regular expressions for pattern matching
+     *    - String manipulation for extraction
+     *    - Negative number handling logic
+     * 
+     * @param {string} text The text content to extract prefix from
+     * @return {string} Returns the extracted prefix string or empty string if none
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/match
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ extractPrefix(text) {
+     const match = text.match(/^([^\d-]*)/);
+     return match ? match[1] : '';
+ } 
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Extracts suffix characters from text content that appear after numeric values.
+     * DESCRIPTION:
+     *    - Identifies and extracts non-numeric characters at the end of text
+     *    - Preserves units, percentages, and other suffix indicators
+     *    - Uses regular expressions for accurate pattern matching
+     *    - Handles various suffix types (%, +, units, text labels)
+     *    - Essential for maintaining text formatting during animations
+     *    - Supports international suffix conventions
+     * 
+     * DEPENDENCIES:
+     *    - Regular expressions for pattern matching
+     *    - String manipulation for extraction
+     *    - End-of-string pattern recognition
+     * 
+     * @param {string} text The text content to extract suffix from
+     * @return {string} Returns the extracted suffix string or empty string if none
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/match
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ extractSuffix(text) {
+     const match = text.match(/([^\d]*)$/);
+     return match ? match[1] : '';
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Formats numeric values according to configuration settings with support for abbreviations and custom formatting.
+     * DESCRIPTION:
+     *    - Applies number formatting based on configuration options
+     *    - Uses the Intl.NumberFormat backend when selected through numberFormat.formatter
+     *    - Supports number abbreviation for large values (1K, 1M, 1B)
+     *    - Handles custom formatting with separators and decimal places
+     *    - Falls back to the manual formatter when Intl is unavailable or rejects the options
+     *    - Provides fallback to simple formatting when disabled
+     *    - Ensures consistent output format across all animations
+     * 
+     * DEPENDENCIES:
+     *    - shouldUseIntl() and formatIntlNumber() for locale-aware formatting
+     *    - abbreviateNumber() for large number abbreviation
+     *    - formatCustomNumber() for detailed formatting
+     *    - Configuration options (formatNumber, numberFormat)
+     *    - Math.round for value rounding
+     * 
+     * @param {number} value The numeric value to format
+     * @param {Object} config The configuration object containing formatting options
+     * @return {string} Returns the formatted number string
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/round
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ formatValue(value, config) {
+     const format = config.numberFormat;
+     
+     // If not to format, returns simple value
+     if (!config.formatNumber) {
+         return Math.round(value).toString();
+     } 
+ 
+     // Locale-aware formatting
+     if (this.shouldUseIntl(format)) {
+         const formatted = this.formatIntlNumber(value, format);
+         if (formatted !== null) {
+             return formatted;
+         }
+     } 
+ 
+     // Abbreviation of large numbers
+     if (format.abbreviate) {
+         return this.abbreviateNumber(value, format);
+     } 
+ 
+     // Custom formatting
+     return this.formatCustomNumber(value, format);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Decides whether a number format is rendered with Intl.NumberFormat or with the manual formatter.
+     * DESCRIPTION:
+     *    - 'intl' always selects Intl.NumberFormat
+     *    - 'manual' always selects the separator-based formatter
+     *    - 'auto' (default) selects Intl only for currency, percent and unit styles or non-standard notations,
+     *      so standard formats keep their configured separators
+     * 
+     * DEPENDENCIES:
+     *    - Intl.NumberFormat availability
+     *    - Configuration options (formatter, style, notation)
+     * 
+     * @param {Object} format The formatting configuration object
+     * @return {boolean} Returns true when the Intl backend should be used
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ shouldUseIntl(format) {
+     if (typeof Intl === 'undefined' || typeof Intl.NumberFormat !== 'function') {
+         return false;
+     } 
+     const formatter = format.formatter || 'auto';
+     if (formatter !== 'auto') {
+         return formatter === 'intl';
+     } 
+     return (format.style || 'standard') !== 'standard' || (format.notation || 'standard') !== 'standard';
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Formats a number with Intl.NumberFormat using the locale and style of the number format.
+     * DESCRIPTION:
+     *    - Builds and caches one Intl.NumberFormat per number format object, so animation frames reuse it
+     *    - Treats percent values as percentages (98.5 → 98,5 %), matching the number shown in the markup
+     *    - Returns null when Intl rejects the options (e.g. a missing currency), warning only once
+     * 
+     * DEPENDENCIES:
+     *    - Intl.NumberFormat API
+     *    - getIntlOptions() for option mapping
+     *    - WeakMap for formatter caching
+     * 
+     * @param {number} value The numeric value to format
+     * @param {Object} format The formatting configuration object
+     * @return {string|null} Returns the formatted string or null if Intl cannot format it
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/NumberFormat
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ formatIntlNumber(value, format) {
+     let formatter = this.intlFormatters.get(format);
+     
+     if (formatter === undefined) {
+         try {
+             formatter = new Intl.NumberFormat(format.locale, this.getIntlOptions(format));
+         } catch (error) {
+             console.warn('CounterAnimator: Intl.NumberFormat rejected the number format, using the manual formatter', error);
+             formatter = null;
+         }
+         this.intlFormatters.set(format, formatter);
+     } 
+     if (!formatter) {
+         return null;
+     } 
+     return formatter.format(format.style === 'percent' ? value / 100 : value);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Maps the numberFormat configuration onto Intl.NumberFormat options.
+     * DESCRIPTION:
+     *    - Translates style 'standard' into Intl 'decimal'
+     *    - Passes currency, unit, notation and sign display settings through
+     *    - Derives fraction digits from decimals/showDecimals unless min/max fraction digits are given
+     *      (the currency style always shows decimals digits, except in compact notation)
+     *    - Maps abbreviate to compact notation when the notation is 'standard' (significantDigits included)
+     *    - Disables grouping when the thousands separator is empty
+     * 
+     * DEPENDENCIES:
+     *    - Configuration options (numberFormat)
+     * 
+     * @param {Object} format The formatting configuration object
+     * @return {Object} Returns the Intl.NumberFormat options object
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/NumberFormat/NumberFormat#options
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getIntlOptions(format) {
+     const style = format.style || 'standard';
+     const decimals = format.decimals || 0;
+     const options = {
+         style: style === 'standard' ? 'decimal' : style,
+         notation: format.abbreviate && (format.notation || 'standard') === 'standard' ? 'compact' : (format.notation || 'standard'),
+         signDisplay: format.signDisplay || 'auto',
+         useGrouping: format.thousandsSeparator !== ''
+     };
+     
+     if (style === 'currency') {
+         options.currency = format.currency;
+         options.currencyDisplay = format.currencyDisplay || 'symbol';
+     } 
+     if (style === 'unit') {
+         options.unit = format.unit;
+         options.unitDisplay = format.unitDisplay || 'short';
+     } 
+     if (options.notation === 'compact') {
+         options.compactDisplay = format.compactDisplay || 'short';
+         if (typeof format.significantDigits === 'number') {
+             options.maximumSignificantDigits = format.significantDigits;
+         }
+     } 
+     // Fraction digits (currency amounts keep all their decimals, $1,234.50, as Intl does by default)
+     const hasMinimum = typeof format.minimumFractionDigits === 'number';
+     const hasMaximum = typeof format.maximumFractionDigits === 'number';
+     const fixedDecimals = format.showDecimals || (style === 'currency' && options.notation !== 'compact');
+     options.maximumFractionDigits = hasMaximum ? format.maximumFractionDigits : decimals;
+     options.minimumFractionDigits = hasMinimum
+         ? format.minimumFractionDigits
+         : Math.min(fixedDecimals ? decimals : 0, options.maximumFractionDigits);
+     if (options.minimumFractionDigits > options.maximumFractionDigits) {
+         options.maximumFractionDigits = options.minimumFractionDigits;
+     } 
+     return options;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Abbreviates large numbers with a configurable scale table (K/M/B/T, lakh/crore, 万/億, SI, ...).
+     * DESCRIPTION:
+     *    - Picks the largest step of numberFormat.abbreviationScale reached by the value (e.g. 1000000 → 1M)
+     *    - Divides by the step divisor (the threshold unless the entry gives one)
+     *    - Rounds to abbreviationDecimals decimal places, or to significantDigits when it is set
+     *    - Moves to the next step when rounding reaches it (999 960 → 1,0M rather than 1 000,0K)
+     *    - With trimZeros, drops trailing zeros (1K rather than 1,0K)
+     *    - Applies the sign once, to the absolute value
+     *    - Formats values below the first threshold without abbreviation, unless rounding them reaches it (999,5 → 1K)
+     * 
+     * DEPENDENCIES:
+     *    - getAbbreviationScale() for the scale table
+     *    - getAbbreviationLabel() for the step label
+     *    - formatCustomNumber() for final formatting
+     * 
+     * @param {number} value The numeric value to abbreviate
+     * @param {Object} format The formatting configuration object
+     * @return {string} Returns the abbreviated number string
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Number/toPrecision
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ abbreviateNumber(value, format) {
+     const scale = this.getAbbreviationScale(format);
+     const abs = Math.abs(value);
+     const significant = typeof format.significantDigits === 'number';
+     const places = typeof format.abbreviationDecimals === 'number' ? format.abbreviationDecimals : 1;
+     const divisor = index => scale[index].divisor || scale[index].threshold;
+     const round = number => Number(significant ? number.toPrecision(format.significantDigits) : number.toFixed(places));
+     // Steps are chosen on the value as formatCustomNumber() would round it (999,5 → 1 000 → 1K)
+     const shown = format.decimals > 0 || format.showDecimals ? Number(abs.toFixed(format.decimals)) : Math.round(abs);
+     let index = -1;
+     
+     while (index + 1 < scale.length && shown >= scale[index + 1].threshold) {
+         index++;
+     } 
+     if (index < 0) {
+         return this.formatCustomNumber(value, format);
+     } 
+     let rounded = round(abs / divisor(index));
+     while (index + 1 < scale.length && rounded * divisor(index) >= scale[index + 1].threshold) {
+         index++;
+         rounded = round(abs / divisor(index));
+     } 
+     // Decimal places shown: all of them (1,0K) or only the significant ones (1K)
+     let decimals = significant ? Math.max(0, format.significantDigits - 1 - Math.floor(Math.log10(rounded))) : places;
+     if (format.trimZeros) {
+         decimals = (String(rounded).split('.')[1] || '').length;
+     } 
+     const number = this.formatCustomNumber(rounded, {...format, decimals, showDecimals: decimals > 0});
+     return (value < 0 ? '-' : '') + number + this.getAbbreviationLabel(scale[index], rounded, format);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Resolves numberFormat.abbreviationScale into a table of steps.
+     * DESCRIPTION:
+     *    - Looks scale names up in the registry, falling back to the short scale
+     *    - Uses custom tables as given, sorted by threshold
+     * 
+     * DEPENDENCIES:
+     *    - getAbbreviationScales() for the registry
+     * 
+     * @param {Object} format The formatting configuration object
+     * @return {Array} Returns the scale entries sorted by threshold
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getAbbreviationScale(format) {
+     const scale = format.abbreviationScale;
+     if (Array.isArray(scale)) {
+         return scale.slice().sort((a, b) => a.threshold - b.threshold);
+     } 
+     const scales = CounterAnimator.getAbbreviationScales();
+     return Object.prototype.hasOwnProperty.call(scales, scale) ? scales[scale] : scales.short;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Returns the label of an abbreviation step for the displayed number.
+     * DESCRIPTION:
+     *    - Uses numberFormat.abbreviations[name] when the entry is named and the abbreviations define it,
+     *      so the short scale keeps honouring custom K/M/B/T suffixes
+     *    - Picks the plural form of { one, other } labels with Intl.PluralRules for the format locale
+     * 
+     * DEPENDENCIES:
+     *    - getPluralRules() for plural selection
+     * 
+     * @param {Object} entry The scale entry
+     * @param {number} number The abbreviated number (e.g. 2.5 for 2,5 milhões)
+     * @param {Object} format The formatting configuration object
+     * @return {string} Returns the label appended to the number
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/PluralRules
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getAbbreviationLabel(entry, number, format) {
+     const custom = entry.name && format.abbreviations ? format.abbreviations[entry.name] : undefined;
+     const label = typeof custom === 'string' ? custom : entry.label;
+     
+     if (typeof label === 'string') {
+         return label;
+     } 
+     const form = this.getPluralRules(format.locale).select(number);
+     return typeof label[form] === 'string' ? label[form] : (label.other || '');
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Returns a cached Intl.PluralRules for a locale.
+     * DESCRIPTION:
+     *    - Creates one Intl.PluralRules per locale and reuses it on every frame
+     *    - Uses the pt-PT rules for Portuguese outside Brazil (pt-AO, pt-MZ, ...), as CLDR does; runtimes often
+     *      resolve them to the Brazilian pt rules, which would give "1,5 milhão" instead of "1,5 milhões"
+     *    - Falls back to an English-like rule (1 → one, otherwise other) when Intl is missing or rejects the locale
+     * 
+     * DEPENDENCIES:
+     *    - Intl.PluralRules API
+     *    - Map for caching
+     * 
+     * @param {string} locale The BCP 47 locale
+     * @return {Object} Returns an object with a select(number) method
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/PluralRules/select
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getPluralRules(locale) {
+     if (!this.pluralRules.has(locale)) {
+         const [language, region] = String(locale).split('-');
+         const european = language.toLowerCase() === 'pt' && /^[a-z]{2}$/i.test(region || '') && region.toUpperCase() !== 'BR';
+         let rules = null;
+         try {
+             rules = new Intl.PluralRules(european ? 'pt-PT' : locale);
+         } catch (error) {
+             rules = { select: number => (number === 1 ? 'one' : 'other') };
+         }
+         this.pluralRules.set(locale, rules);
+     } 
+     return this.pluralRules.get(locale);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Formats numbers with custom separators, decimal places, and thousands formatting.
+     * DESCRIPTION:
+     *    - Applies custom number formatting with configurable separators
+     *    - Handles thousands separators for improved readability
+     *    - Manages decimal places with optional zero padding
+     *    - Supports different international formatting conventions
+     *    - Ensures consistent formatting across all number displays
+     *    - Essential for proper number presentation in various locales
+     * 
+     * DEPENDENCIES:
+     *    - addThousandsSeparator() for thousands formatting
+     *    - Number.toFixed() for decimal precision
+     *    - String manipulation for decimal part handling
+     *    - Configuration options (decimals, showDecimals, separators)
+     * 
+     * @param {number} value The numeric value to format
+     * @param {Object} format The formatting configuration object
+     * @return {string} Returns the custom formatted number string
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Number/toFixed
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ formatCustomNumber(value, format) {
+     let rounded = value;
+     
+     // Round based on decimal places
+     if (format.decimals > 0 || format.showDecimals) {
+         rounded = Number(value.toFixed(format.decimals));
+     } else {
+         rounded = Math.round(value);
+     } 
+     // Separate whole and decimal parts
+     let [integerPart, decimalPart] = rounded.toString().split('.');
+     
+     // Formatting the integer part with thousands separators
+     if (Math.abs(rounded) >= 1000 && format.thousandsSeparator) {
+         integerPart = this.addThousandsSeparator(integerPart, format.thousandsSeparator);
+     } 
+     // Final number assembly
+     let formattedNumber = integerPart; 
+     // Add decimal part if necessary
+     if (format.showDecimals || (format.decimals > 0 && decimalPart)) {
+         const decimal = decimalPart || '0'.repeat(format.decimals);
+         const paddedDecimal = decimal.padEnd(format.decimals, '0');
+         formattedNumber += format.decimalSeparator + paddedDecimal;
+     } 
+     return formattedNumber;
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Adds thousands separators to number strings for improved readability.
+     * DESCRIPTION:
+     *    - Inserts separators every three digits from right to left
+     *    - Preserves negative signs during formatting
+     *    - Uses configurable separator characters (space, comma, dot)
+     *    - Handles edge cases like single digits and negative numbers
+     *    - Essential for displaying large numbers in human-readable format
+     *    - Supports international formatting conventions
+     * 
+     * DEPENDENCIES:
+     *    - Regular expressions for digit grouping
+     *    - String manipulation for separator insertion
+     *    - Negative sign preservation logic
+     *    - Configurable separator character
+     * 
+     * @param {string} numberString The number string to format
+     * @param {string} separator The separator character to use
+     * @return {string} Returns the formatted number string with separators
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/replace
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ addThousandsSeparator(numberString, separator) {
+     // Temporarily removes negative sign
+     const isNegative = numberString.startsWith('-');
+     const cleanNumber = isNegative ? numberString.slice(1) : numberString;
+     
+     // Add thousands separators from right to left
+     const formatted = cleanNumber.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+     
+     return isNegative ? '-' + formatted : formatted;
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Resolves an effect option into an easing function.
+     * DESCRIPTION:
+     *    - Accepts an easing function directly
+     *    - Looks up instance-only easings first, then the global registry
+     *    - Parses CSS easing strings (ease-in, cubic-bezier(...), steps(...)) and spring(...)
+     *    - Returns null for unknown effects so callers can fall back or reject the value
+     * 
+     * DEPENDENCIES:
+     *    - getEasings() for the global registry
+     *    - parseEasing() for CSS easing strings
+     * 
+     * @param {string|Function} effect The effect name, CSS easing string or easing function
+     * @return {Function|null} Returns the easing function or null if unknown
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/easing-function
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ getEasing(effect) {
+     if (typeof effect === 'function') {
+         return effect;
+     } 
+     if (typeof effect !== 'string') {
+         return null;
+     } 
+     if (Object.prototype.hasOwnProperty.call(this.easingFunctions, effect)) {
+         return this.easingFunctions[effect];
+     } 
+     const easings = CounterAnimator.getEasings();
+     if (Object.prototype.hasOwnProperty.call(easings, effect)) {
+         return easings[effect];
+     } 
+     return CounterAnimator.parseEasing(effect);
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Returns the global easing registry shared by all CounterAnimator instances.
+     * DESCRIPTION:
+     *    - Creates the registry on first use with the library effects (linear, slow, fast, bounce, elastic,
+     *      steps, smooth, dramatic, wave) and the standard Penner set
+     *    - Penner names follow the easeIn/easeOut/easeInOut + Quad, Cubic, Quart, Quint, Sine, Expo, Circ,
+     *      Back, Elastic and Bounce pattern (e.g. easeOutCubic)
+     *    - Also holds every easing added through registerEasing()
+     * 
+     * DEPENDENCIES:
+     *    - Static method implementation
+     *    - Math functions for easing curves
+     * 
+     * @return {Object} Returns the easing functions keyed by name
+     * 
+     * @link https://easings.net/
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static getEasings() {
+     if (CounterAnimator.easingRegistry) {
+         return CounterAnimator.easingRegistry;
+     } 
+     // Easing functions available with more visual differences
+     const easings = {
+         linear: t => t,
+         slow: t => Math.pow(t, 4), // Very slow at first
+         fast: t => 1 - Math.pow(1 - t, 0.3), // Very fast at the beginning
+         bounce: t => {
+             // More pronounced bounce effect
+             const n1 = 7.5625;
+             const d1 = 2.75;
+             if (t < 1 / d1) {
+                 return n1 * t * t;
+             } else if (t < 2 / d1) {
+                 return n1 * (t -= 1.5 / d1) * t + 0.75;
+             } else if (t < 2.5 / d1) {
+                 return n1 * (t -= 2.25 / d1) * t + 0.9375;
+             } else {
+                 return n1 * (t -= 2.625 / d1) * t + 0.984375;
+             }
+         },
+         elastic: t => {
+             // More visible elastic effect
+             if (t === 0) return 0;
+             if (t === 1) return 1;
+             const c4 = (2 * Math.PI) / 3;
+             return t < 0.5
+                 ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c4)) / 2
+                 : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c4)) / 2 + 1;
+         },
+         steps: t => Math.floor(t * 5) / 5, // Step animation
+         smooth: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2, // Soft
+         dramatic: t => t < 0.8 ? 0 : (t - 0.8) / 0.2, // Dramatic pause
+         wave: t => Math.sin(t * Math.PI * 2) * 0.1 + t // Wave effect
+     }; 
+     // Standard Penner easing set
+     const c1 = 1.70158;
+     const c2 = c1 * 1.525;
+     const c3 = c1 + 1;
+     const c4 = (2 * Math.PI) / 3;
+     const c5 = (2 * Math.PI) / 4.5;
+     const outBounce = t => {
+         const n1 = 7.5625;
+         const d1 = 2.75;
+         if (t < 1 / d1) return n1 * t * t;
+         if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+         if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+         return n1 * (t -= 2.625 / d1) * t + 0.984375;
+     };
+     const penner = {
+         Quad: t => t * t,
+         Cubic: t => t * t * t,
+         Quart: t => Math.pow(t, 4),
+         Quint: t => Math.pow(t, 5),
+         Sine: t => 1 - Math.cos((t * Math.PI) / 2),
+         Expo: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+         Circ: t => 1 - Math.sqrt(1 - t * t),
+         Back: t => c3 * t * t * t - c1 * t * t,
+         Elastic: t => t === 0 || t === 1 ? t : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * c4),
+         Bounce: t => 1 - outBounce(1 - t)
+     };
+     Object.keys(penner).forEach(name => {
+         const easeIn = penner[name];
+         easings['easeIn' + name] = easeIn;
+         easings['easeOut' + name] = t => 1 - easeIn(1 - t);
+         easings['easeInOut' + name] = t => t < 0.5 ? easeIn(2 * t) / 2 : 1 - easeIn(2 - 2 * t) / 2;
+     }); 
+     // Exact forms where the mirrored curve differs from the reference
+     easings.easeOutBounce = outBounce;
+     easings.easeInOutBack = t => t < 0.5
+         ? (Math.pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
+         : (Math.pow(2 * t - 2, 2) * ((c2 + 1) * (t * 2 - 2) + c2) + 2) / 2;
+     easings.easeInOutElastic = t => {
+         if (t === 0 || t === 1) return t;
+         return t < 0.5
+             ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c5)) / 2
+             : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c5)) / 2 + 1;
+     };
+     
+     CounterAnimator.easingRegistry = easings;
+     return easings;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Registers a named easing function available to every CounterAnimator instance.
+     * DESCRIPTION:
+     *    - Adds or replaces an entry of the global easing registry
+     *    - The name can then be used in the effect option and in data-effect attributes
+     *    - Accepts factory results such as CounterAnimator.cubicBezier(...) or CounterAnimator.spring(...)
+     * 
+     * DEPENDENCIES:
+     *    - getEasings() for the global registry
+     * 
+     * @param {string} name The effect name
+     * @param {Function} fn The easing function, mapping progress (0 to 1) to eased progress
+     * @return void
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/static
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static registerEasing(name, fn) {
+     if (typeof name !== 'string' || name === '' || typeof fn !== 'function') {
+         throw new TypeError('CounterAnimator.registerEasing() expects a name and an easing function');
+     } 
+     CounterAnimator.getEasings()[name] = fn;
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Creates an easing function from cubic Bézier control points, like CSS cubic-bezier().
+     * DESCRIPTION:
+     *    - Solves the curve x coordinate for the given progress with Newton-Raphson iterations
+     *    - Falls back to bisection when the slope is too flat for Newton-Raphson
+     *    - Returns the y coordinate as eased progress (values outside 0-1 overshoot)
+     * 
+     * DEPENDENCIES:
+     *    - Static method implementation
+     *    - Polynomial evaluation of the Bézier curve
+     * 
+     * @param {number} x1 The x coordinate of the first control point (0 to 1)
+     * @param {number} y1 The y coordinate of the first control point
+     * @param {number} x2 The x coordinate of the second control point (0 to 1)
+     * @param {number} y2 The y coordinate of the second control point
+     * @return {Function} Returns the easing function
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/easing-function/cubic-bezier
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static cubicBezier(x1, y1, x2, y2) {
+     const cx = 3 * x1;
+     const bx = 3 * (x2 - x1) - cx;
+     const ax = 1 - cx - bx;
+     const cy = 3 * y1;
+     const by = 3 * (y2 - y1) - cy;
+     const ay = 1 - cy - by;
+     const sampleX = t => ((ax * t + bx) * t + cx) * t;
+     const sampleY = t => ((ay * t + by) * t + cy) * t;
+     const slopeX = t => (3 * ax * t + 2 * bx) * t + cx;
+     
+     const solveX = x => {
+         let t = x;
+         for (let i = 0; i < 8; i++) {
+             const error = sampleX(t) - x;
+             if (Math.abs(error) < 1e-6) return t;
+             const slope = slopeX(t);
+             if (Math.abs(slope) < 1e-6) break;
+             t -= error / slope;
+         } 
+         // Bisection fallback
+         let low = 0;
+         let high = 1;
+         t = x;
+         while (high - low > 1e-6) {
+             if (sampleX(t) < x) low = t;
+             else high = t;
+             t = (low + high) / 2;
+         }
+         return t;
+     };
+     return t => t <= 0 ? 0 : t >= 1 ? 1 : sampleY(solveX(t));
+ }
+ 
+ /**
+     * PURPOSE OF THE FUNCTION: Creates a stepped easing function, like CSS steps().
+     * DESCRIPTION:
+     *    - Divides the animation into a number of equal jumps
+     *    - Supports the CSS jump terms: jump-start, jump-end, jump-none, jump-both, start and end
+     *    - Rejects jump-none with fewer than 2 steps, like CSS
+     * 
+     * DEPENDENCIES:
+     *    - Static method implementation
+     *    - Math.floor for step calculation
+     * 
+     * @param {number} count The number of steps (positive integer, at least 2 with jump-none)
+     * @param {string} jumpTerm The CSS jump term (defaults to 'jump-end')
+     * @return {Function} Returns the easing function
+     * @throws {RangeError} When jump-none is used with fewer than 2 steps
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/easing-function/steps
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static steps(count, jumpTerm = 'jump-end') {
+     const term = jumpTerm === 'start' ? 'jump-start' : jumpTerm === 'end' ? 'jump-end' : jumpTerm;
+     const steps = Math.max(Math.floor(count) || 1, 1);
+     if (term === 'jump-none' && steps < 2) {
+         throw new RangeError('CounterAnimator.steps() needs at least 2 steps with jump-none');
+     } 
+     const jumps = term === 'jump-both' ? steps + 1 : term === 'jump-none' ? steps - 1 : steps;
+     
+     return t => {
+         if (t >= 1) return 1;
+         let step = Math.floor(t * steps);
+         if (term === 'jump-start' || term === 'jump-both') {
+             step += 1;
+         }
+         return Math.min(Math.max(step, 0), jumps) / jumps;
+     };
+ }
  
  /**
-     * PURPOSE OF THE FUNCTION: Extracts suffix characters from text content that appear after numeric values.
+     * PURPOSE OF THE FUNCTION: Creates an easing function that follows a damped spring released from rest.
      * DESCRIPTION:
-     *    - Identifies and extracts non-numeric characters at the end of text
-     *    - Preserves units, percentages, and other suffix indicators
-     *    - Uses regular expressions for accurate pattern matching
-     *    - Handles various suffix types (%, +, units, text labels)
-     *    - Essential for maintaining text formatting during animations
-     *    - Supports international suffix conventions
+     *    - Solves the damped harmonic oscillator for the given stiffness, damping and mass
+     *    - Handles under-damped (bouncy), critically damped and over-damped springs
+     *    - Stretches the settle time of the spring over the animation duration
+     *    - Lower damping produces overshoot around the target value
      * 
      * DEPENDENCIES:
-     *    - Regular expressions for pattern matching
-     *    - String manipulation for extraction
-     *    - End-of-string pattern recognition
+     *    - Static method implementation
+     *    - Math.exp, Math.cos and Math.sin for the spring solution
      * 
-     * @param {string} text The text content to extract suffix from
-     * @return {string} Returns the extracted suffix string or empty string if none
+     * @param {Object} options Spring parameters: stiffness (default 100), damping (default 10), mass (default 1)
+     * @return {Function} Returns the easing function
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/match
+     * @link https://en.wikipedia.org/wiki/Harmonic_oscillator#Damped_harmonic_oscillator
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- extractSuffix(text) {
-     const match = text.match(/([^\d]*)$/);
-     return match ? match[1] : '';
+ static spring({ stiffness = 100, damping = 10, mass = 1 } = {}) {
+     const omega = Math.sqrt(Math.max(stiffness, 1e-6) / Math.max(mass, 1e-6));
+     const zeta = Math.max(damping, 0) / (2 * Math.sqrt(Math.max(stiffness, 1e-6) * Math.max(mass, 1e-6)));
+     
+     let position;
+     if (zeta < 1) {
+         const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+         position = time => 1 - Math.exp(-zeta * omega * time)
+             * (Math.cos(omegaD * time) + (zeta * omega / omegaD) * Math.sin(omegaD * time));
+     } else if (zeta === 1) {
+         position = time => 1 - Math.exp(-omega * time) * (1 + omega * time);
+     } else {
+         const root = omega * Math.sqrt(zeta * zeta - 1);
+         const r1 = -zeta * omega + root;
+         const r2 = -zeta * omega - root;
+         position = time => 1 - (r1 * Math.exp(r2 * time) - r2 * Math.exp(r1 * time)) / (r1 - r2);
+     } 
+     // Settle time: last moment the spring is farther than 0.1% from rest (10s max)
+     let settle = 0;
+     for (let time = 0; time <= 10; time += 1 / 120) {
+         if (Math.abs(1 - position(time)) > 0.001) {
+             settle = time;
+         }
+     } 
+     settle = settle || 1 / 120;
+     return t => t <= 0 ? 0 : t >= 1 ? 1 : position(t * settle);
  }
  
  /**
-     * PURPOSE OF THE FUNCTION: Formats numeric values according to configuration settings with support for abbreviations and custom formatting.
+     * PURPOSE OF THE FUNCTION: Parses a CSS easing string into an easing function.
      * DESCRIPTION:
-     *    - Applies number formatting based on configuration options
-     *    - Supports number abbreviation for large values (1K, 1M, 1B)
-     *    - Handles custom formatting with separators and decimal places
-     *    - Provides fallback to simple formatting when disabled
-     *    - Ensures consistent output format across all animations
-     *    - Essential for proper display of animated counter values
+     *    - Supports the CSS keywords ease, ease-in, ease-out, ease-in-out, step-start and step-end
+     *    - Supports cubic-bezier(x1, y1, x2, y2) and steps(count, jump-term)
+     *    - Also accepts spring(stiffness, damping, mass) for declarative springs
+     *    - Caches the functions of strings it can parse and returns null for the others (steps(1, jump-none) included)
      * 
      * DEPENDENCIES:
-     *    - abbreviateNumber() for large number abbreviation
-     *    - formatCustomNumber() for detailed formatting
-     *    - Configuration options (formatNumber, numberFormat)
-     *    - Math.round for value rounding
+     *    - cubicBezier(), steps() and spring() factories
+     *    - Regular expressions for parsing
      * 
-     * @param {number} value The numeric value to format
-     * @param {Object} config The configuration object containing formatting options
-     * @return {string} Returns the formatted number string
+     * @param {string} value The CSS easing string
+     * @return {Function|null} Returns the easing function or null if invalid
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/round
+     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/easing-function
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- formatValue(value, config) {
-     const format = config.numberFormat;
+ static parseEasing(value) {
+     if (!CounterAnimator.parsedEasings) {
+         CounterAnimator.parsedEasings = new Map();
+     } 
+     const key = value.trim().toLowerCase();
+     if (CounterAnimator.parsedEasings.has(key)) {
+         return CounterAnimator.parsedEasings.get(key);
+     } 
+     const keywords = {
+         'ease': [0.25, 0.1, 0.25, 1],
+         'ease-in': [0.42, 0, 1, 1],
+         'ease-out': [0, 0, 0.58, 1],
+         'ease-in-out': [0.42, 0, 0.58, 1]
+     };
+     const number = '\\s*(-?\\d*\\.?\\d+)\\s*';
+     const bezier = key.match(new RegExp(`^cubic-bezier\\(${number},${number},${number},${number}\\)$`));
+     const steps = key.match(/^steps\(\s*(\d+)\s*(?:,\s*(jump-start|jump-end|jump-none|jump-both|start|end)\s*)?\)$/);
+     const spring = key.match(new RegExp(`^spring\\(${number}(?:,${number})?(?:,${number})?\\)$`));
+     let easing = null;
      
-     // If not to format, returns simple value
-     if (!config.formatNumber) {
-         return Math.round(value).toString();
+     if (keywords[key]) {
+         easing = CounterAnimator.cubicBezier(...keywords[key]);
+     } else if (key === 'step-start' || key === 'step-end') {
+         easing = CounterAnimator.steps(1, key === 'step-start' ? 'jump-start' : 'jump-end');
+     } else if (bezier) {
+         const points = bezier.slice(1).map(Number);
+         // x coordinates must stay within 0-1
+         if (points[0] >= 0 && points[0] <= 1 && points[2] >= 0 && points[2] <= 1) {
+             easing = CounterAnimator.cubicBezier(...points);
+         }
+     } else if (steps && Number(steps[1]) > (steps[2] === 'jump-none' ? 1 : 0)) {
+         easing = CounterAnimator.steps(Number(steps[1]), steps[2] || 'jump-end');
+     } else if (spring) {
+         easing = CounterAnimator.spring({
+             stiffness: Number(spring[1]),
+             damping: spring[2] === undefined ? 10 : Number(spring[2]),
+             mass: spring[3] === undefined ? 1 : Number(spring[3])
+         });
      } 
- 
-     // Abbreviation of large numbers
-     if (format.abbreviate) {
-         return this.abbreviateNumber(value, format);
+     if (easing) {
+         CounterAnimator.parsedEasings.set(key, easing);
      } 
- 
-     // Custom formatting
-     return this.formatCustomNumber(value, format);
+     return easing;
  }
  
  /**
-     * PURPOSE OF THE FUNCTION: Abbreviates large numbers using standard notation (K, M, B, T) for better readability.
+     * PURPOSE OF THE FUNCTION: Returns the registry of abbreviation scales used by numberFormat.abbreviationScale.
      * DESCRIPTION:
-     *    - Converts large numbers to abbreviated format (e.g., 1000000 → 1M)
-     *    - Supports multiple abbreviation levels (thousand, million, billion, trillion)
-     *    - Maintains decimal precision for abbreviated values
-     *    - Preserves negative signs and applies proper formatting
-     *    - Uses configuration-based abbreviation symbols
-     *    - Essential for displaying large statistics in compact format
+     *    - Creates the built-in scales on first access and keeps them on the class
+     *    - short: 1K, 1M, 1B, 1T, 1Qa (labels can be overridden with numberFormat.abbreviations)
+     *    - long: 1 mil, 1 milhão, 1 mil milhões, 1 bilião (Portuguese long scale)
+     *    - indian: 1K, 1L (lakh), 1Cr (crore)
+     *    - east-asian: 1万, 1億, 1兆 (steps of ten thousand)
+     *    - si: 1k, 1M, 1G, 1T, 1P (bytes and units)
+     *    - Each entry has a threshold, an optional divisor (defaults to the threshold), a label
+     *      (a string or { one, other } plural forms) and an optional abbreviations key (name)
      * 
      * DEPENDENCIES:
-     *    - formatCustomNumber() for final formatting
-     *    - Configuration abbreviations (K, M, B, T)
-     *    - Math operations for value division
-     *    - Absolute value calculation for threshold checking
+     *    - Static class property for the shared registry
      * 
-     * @param {number} value The numeric value to abbreviate
-     * @param {Object} format The formatting configuration object
-     * @return {string} Returns the abbreviated number string
+     * @return {Object} Returns the scales indexed by name
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/abs
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- abbreviateNumber(value, format) {
-     const abs = Math.abs(value);
-     const sign = value < 0 ? '-' : '';
-     
-     if (abs >= 1000000000000) {
-         const abbreviated = (value / 1000000000000);
-         return sign + this.formatCustomNumber(abbreviated, {...format, showDecimals: true, decimals: 1}) + format.abbreviations.trillion;
-     } else if (abs >= 1000000000) {
-         const abbreviated = (value / 1000000000);
-         return sign + this.formatCustomNumber(abbreviated, {...format, showDecimals: true, decimals: 1}) + format.abbreviations.billion;
-     } else if (abs >= 1000000) {
-         const abbreviated = (value / 1000000);
-         return sign + this.formatCustomNumber(abbreviated, {...format, showDecimals: true, decimals: 1}) + format.abbreviations.million;
-     } else if (abs >= 1000) {
-         const abbreviated = (value / 1000);
-         return sign + this.formatCustomNumber(abbreviated, {...format, showDecimals: true, decimals: 1}) + format.abbreviations.thousand;
-     }
-     
-     return this.formatCustomNumber(value, format);
+ static getAbbreviationScales() {
+     if (CounterAnimator.abbreviationScaleRegistry) {
+         return CounterAnimator.abbreviationScaleRegistry;
+     } 
+     CounterAnimator.abbreviationScaleRegistry = {
+         short: [
+             { threshold: 1e3, label: 'K', name: 'thousand' },
+             { threshold: 1e6, label: 'M', name: 'million' },
+             { threshold: 1e9, label: 'B', name: 'billion' },
+             { threshold: 1e12, label: 'T', name: 'trillion' },
+             { threshold: 1e15, label: 'Qa', name: 'quadrillion' }
+         ],
+         long: [
+             { threshold: 1e3, label: ' mil' },
+             { threshold: 1e6, label: { one: ' milhão', other: ' milhões' } },
+             { threshold: 1e9, label: ' mil milhões' },
+             { threshold: 1e12, label: { one: ' bilião', other: ' biliões' } }
+         ],
+         indian: [
+             { threshold: 1e3, label: 'K' },
+             { threshold: 1e5, label: 'L' },
+             { threshold: 1e7, label: 'Cr' }
+         ],
+         'east-asian': [
+             { threshold: 1e4, label: '万' },
+             { threshold: 1e8, label: '億' },
+             { threshold: 1e12, label: '兆' }
+         ],
+         si: [
+             { threshold: 1e3, label: 'k' },
+             { threshold: 1e6, label: 'M' },
+             { threshold: 1e9, label: 'G' },
+             { threshold: 1e12, label: 'T' },
+             { threshold: 1e15, label: 'P' }
+         ]
+     };
+     return CounterAnimator.abbreviationScaleRegistry;
  }
  
  /**
-     * PURPOSE OF THE FUNCTION: Formats numbers with custom separators, decimal places, and thousands formatting.
+     * PURPOSE OF THE FUNCTION: Registers a named abbreviation scale available to every CounterAnimator instance.
      * DESCRIPTION:
-     *    - Applies custom number formatting with configurable separators
-     *    - Handles thousands separators for improved readability
-     *    - Manages decimal places with optional zero padding
-     *    - Supports different international formatting conventions
-     *    - Ensures consistent formatting across all number displays
-     *    - Essential for proper number presentation in various locales
+     *    - Adds or replaces an entry of the global abbreviation scale registry
+     *    - The name can then be used in numberFormat.abbreviationScale and in data-abbreviation-scale attributes
+     *    - Entries are stored sorted by threshold
      * 
      * DEPENDENCIES:
-     *    - addThousandsSeparator() for thousands formatting
-     *    - Number.toFixed() for decimal precision
-     *    - String manipulation for decimal part handling
-     *    - Configuration options (decimals, showDecimals, separators)
+     *    - getAbbreviationScales() for the global registry
+     *    - isAbbreviationScale() for the entry check
      * 
-     * @param {number} value The numeric value to format
-     * @param {Object} format The formatting configuration object
-     * @return {string} Returns the custom formatted number string
+     * @param {string} name The scale name
+     * @param {Array} scale The scale entries ({ threshold, divisor, label, name })
+     * @return void
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Number/toFixed
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- formatCustomNumber(value, format) {
-     let rounded = value;
-     
-     // Round based on decimal places
-     if (format.decimals > 0 || format.showDecimals) {
-         rounded = Number(value.toFixed(format.decimals));
-     } else {
-         rounded = Math.round(value);
+ static registerAbbreviationScale(name, scale) {
+     if (typeof name !== 'string' || name === '' || !CounterAnimator.isAbbreviationScale(scale)) {
+         throw new TypeError('CounterAnimator.registerAbbreviationScale() expects a name and an array of { threshold, label } entries');
      } 
-     // Separate whole and decimal parts
-     let [integerPart, decimalPart] = rounded.toString().split('.');
-     
-     // Formatting the integer part with thousands separators
-     if (Math.abs(rounded) >= 1000 && format.thousandsSeparator) {
-         integerPart = this.addThousandsSeparator(integerPart, format.thousandsSeparator);
-     } 
-     // Final number assembly
-     let formattedNumber = integerPart; 
-     // Add decimal part if necessary
-     if (format.showDecimals || (format.decimals > 0 && decimalPart)) {
-         const decimal = decimalPart || '0'.repeat(format.decimals);
-         const paddedDecimal = decimal.padEnd(format.decimals, '0');
-         formattedNumber += format.decimalSeparator + paddedDecimal;
-     } 
-     return formattedNumber;
+     CounterAnimator.getAbbreviationScales()[name] = scale.slice().sort((a, b) => a.threshold - b.threshold);
  }
-   
+ 
  /**
-     * PURPOSE OF THE FUNCTION: Adds thousands separators to number strings for improved readability.
+     * PURPOSE OF THE FUNCTION: Checks that a value is a usable table of abbreviation scale entries.
      * DESCRIPTION:
-     *    - Inserts separators every three digits from right to left
-     *    - Preserves negative signs during formatting
-     *    - Uses configurable separator characters (space, comma, dot)
-     *    - Handles edge cases like single digits and negative numbers
-     *    - Essential for displaying large numbers in human-readable format
-     *    - Supports international formatting conventions
+     *    - Requires a non-empty array
+     *    - Every entry needs a positive threshold, a positive divisor when one is given,
+     *      and a string label or an object of plural forms
      * 
      * DEPENDENCIES:
-     *    - Regular expressions for digit grouping
-     *    - String manipulation for separator insertion
-     *    - Negative sign preservation logic
-     *    - Configurable separator character
+     *    - isPlainObject() for plural labels
      * 
-     * @param {string} numberString The number string to format
-     * @param {string} separator The separator character to use
-     * @return {string} Returns the formatted number string with separators
+     * @param {*} scale The value to check
+     * @return {boolean} Returns true when the value is a valid scale table
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/replace
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- addThousandsSeparator(numberString, separator) {
-     // Temporarily removes negative sign
-     const isNegative = numberString.startsWith('-');
-     const cleanNumber = isNegative ? numberString.slice(1) : numberString;
-     
-     // Add thousands separators from right to left
-     const formatted = cleanNumber.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
-     
-     return isNegative ? '-' + formatted : formatted;
+ static isAbbreviationScale(scale) {
+     return Array.isArray(scale) && scale.length > 0 && scale.every(entry => CounterAnimator.isPlainObject(entry)
+         && Number.isFinite(entry.threshold) && entry.threshold > 0
+         && (entry.divisor === undefined || (Number.isFinite(entry.divisor) && entry.divisor > 0))
+         && (typeof entry.label === 'string' || CounterAnimator.isPlainObject(entry.label)));
  }
-   
+ 
  /**
      * PURPOSE OF THE FUNCTION: Provides predefined number formatting configurations for common international locales and use cases.
      * DESCRIPTION:
@@ -1091,55 +5265,107 @@ class CounterAnimator {
  }
  
  /**
-     * PURPOSE OF THE FUNCTION: Applies visual effects to elements during counter animation for enhanced user experience.
+     * PURPOSE OF THE FUNCTION: Provides the named visual effect presets available to the visualEffect option.
      * DESCRIPTION:
-     *    - Adds subtle scale effects using sine wave interpolation for natural movement
-     *    - Applies color interpolation between two specified colors during animation
-     *    - Uses CSS transforms for hardware-accelerated visual effects
-     *    - Provides smooth transitions between visual states
-     *    - Enhances animation perception without being distracting
-     *    - Essential for creating engaging and polished counter animations
+     *    - pulse: subtle scale bump in the middle of the animation
+     *    - glow: text shadow in the current text color that peaks in the middle of the animation
+     *    - blur-in: starts blurred and sharpens as the counter approaches its target
+     *    - color-shift: moves the text color from dark to light green
+     *    - Each preset maps the progress (0 to 1) to the inline styles of the frame
      * 
      * DEPENDENCIES:
-     *    - CSS transforms for scale effects
-     *    - CSS transitions for smooth state changes
-     *    - interpolateColor() for color transitions
+     *    - mixColors() for color transitions
      *    - Math.sin for natural movement patterns
      * 
+     * @return {Object} Returns the preset functions keyed by name: (progress, animator) => styles
+     * 
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ static getVisualEffects() {
+     return {
+         pulse: progress => ({ transform: `scale(${1 + Math.sin(progress * Math.PI) * 0.05})` }),
+         glow: progress => ({ 'text-shadow': `0 0 ${(Math.sin(progress * Math.PI) * 8).toFixed(2)}px currentColor` }),
+         'blur-in': progress => ({ filter: `blur(${((1 - progress) * 4).toFixed(2)}px)` }),
+         'color-shift': (progress, animator) => ({ color: animator.mixColors('#2d5016', '#6b8e23', progress) })
+     };
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Applies the configured visual effect to a counter for the current animation frame.
+     * DESCRIPTION:
+     *    - visualEffect false disables effects
+     *    - A preset name (pulse, glow, blur-in, color-shift) applies the styles of getVisualEffects()
+     *    - An object { from, to } moves the text color between two CSS colors, { className } toggles a class
+     *      during the animation instead of writing inline styles (both can be combined)
+     *    - A function (element, progress, value) runs every frame and may return the styles to apply;
+     *      only the returned properties are restored, styles it writes itself are left to it
+     *    - Remembers the original inline value of every property it touches so removeVisualEffect() can restore it
+     * 
+     * DEPENDENCIES:
+     *    - getVisualEffects() for presets
+     *    - mixColors() for color transitions
+     *    - CSSStyleDeclaration setProperty / getPropertyValue
+     * 
      * @param {HTMLElement} element The DOM element to apply visual effects to
      * @param {number} progress The animation progress value (0 to 1)
+     * @param {Object} config Optional effective configuration (defaults to the instance configuration)
+     * @param {number} value Optional value displayed in this frame
      * @return void
      * 
-     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/transform
-     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/transition
+     * @link https://developer.mozilla.org/en-US/docs/Web/API/CSSStyleDeclaration/setProperty
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
- addVisualEffect(element, progress) {
-     // Subtle scaling effect during animation
-     const scale = 1 + Math.sin(progress * Math.PI) * 0.05;
-     element.style.transform = `scale(${scale})`;
-     element.style.transition = 'transform 0.1s ease';
+ addVisualEffect(element, progress, config = this.config, value) {
+     const effect = config.visualEffect;
+     if (!effect) {
+         return;
+     } 
+     let state = this.effectStates.get(element);
+     if (!state) {
+         state = { styles: new Map(), className: null };
+         this.effectStates.set(element, state);
+     } 
+     let styles = null;
      
-     // Color effect
-     if (progress < 1) {
-         element.style.color = this.interpolateColor('#2d5016', '#6b8e23', progress);
-     }
+     if (typeof effect === 'function') {
+         styles = effect(element, progress, value);
+     } else if (typeof effect === 'string') {
+         const preset = CounterAnimator.getVisualEffects()[effect];
+         styles = preset ? preset(progress, this) : null;
+     } else if (typeof effect === 'object') {
+         if (effect.className && state.className === null) {
+             // Only remove the class later if the animator added it
+             state.className = element.classList.contains(effect.className) ? false : effect.className;
+             element.classList.add(effect.className);
+         } 
+         if (effect.from && effect.to) {
+             styles = { color: this.mixColors(effect.from, effect.to, progress) };
+         }
+     } 
+     if (!styles || typeof styles !== 'object') {
+         return;
+     } 
+     Object.keys(styles).forEach(property => {
+         if (!state.styles.has(property)) {
+             state.styles.set(property, [element.style.getPropertyValue(property), element.style.getPropertyPriority(property)]);
+         } 
+         element.style.setProperty(property, styles[property]);
+     });
  }
    
  /**
-     * PURPOSE OF THE FUNCTION: Removes all visual effects from elements after animation completion.
+     * PURPOSE OF THE FUNCTION: Removes the visual effect of a counter and restores its original inline styles.
      * DESCRIPTION:
-     *    - Clears CSS transforms and color modifications applied during animation
-     *    - Restores elements to their original visual state
-     *    - Ensures clean appearance after animation completion
-     *    - Prevents visual artifacts from persisting
-     *    - Essential for maintaining consistent element styling
-     *    - Called automatically when animations complete
+     *    - Restores every inline property touched by the effect to its original value and priority
+     *    - Removes properties that had no inline value before the animation
+     *    - Leaves other inline styles alone (e.g. --counter-value written by the css-var renderer)
+     *    - Removes the effect class when the animator added it
+     *    - Leaves the element untouched when no effect was applied
+     *    - Called automatically when animations complete, stop or reset
      * 
      * DEPENDENCIES:
-     *    - Element style manipulation
-     *    - CSS property reset
-     *    - Animation completion detection
+     *    - CSSStyleDeclaration setProperty / removeProperty
+     *    - WeakMap of effect states filled by addVisualEffect()
      * 
      * @param {HTMLElement} element The DOM element to remove visual effects from
      * @return void
@@ -1148,17 +5374,60 @@ class CounterAnimator {
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
  removeVisualEffect(element) {
-     element.style.transform = '';
-     element.style.color = '';
+     const state = this.effectStates.get(element);
+     if (!state) {
+         return;
+     } 
+     this.effectStates.delete(element);
+     state.styles.forEach(([value, priority], property) => {
+         if (value) {
+             element.style.setProperty(property, value, priority);
+         } else {
+             element.style.removeProperty(property);
+         }
+     });
+     if (state.className) {
+         element.classList.remove(state.className);
+     }
+ }
+   
+ /**
+     * PURPOSE OF THE FUNCTION: Mixes two CSS colors based on progress value for smooth color transitions.
+     * DESCRIPTION:
+     *    - Uses CSS color-mix() when supported, so any CSS color format works (names, hsl(), oklch(), ...)
+     *    - Falls back to interpolateColor() for hex and rgb() colors in older browsers
+     * 
+     * DEPENDENCIES:
+     *    - CSS.supports for feature detection
+     *    - interpolateColor() for the fallback
+     * 
+     * @param {string} from The starting CSS color
+     * @param {string} to The ending CSS color
+     * @param {number} progress The interpolation progress (0 to 1)
+     * @return {string} Returns a CSS color value
+     * 
+     * @link https://developer.mozilla.org/en-US/docs/Web/CSS/color_value/color-mix
+     * @author syntax serenity <fs.developerfullstack@gmail.com>
+ */
+ mixColors(from, to, progress) {
+     if (CounterAnimator.supportsColorMix === undefined) {
+         CounterAnimator.supportsColorMix = typeof CSS !== 'undefined' && typeof CSS.supports === 'function'
+             && CSS.supports('color', 'color-mix(in srgb, red, blue)');
+     } 
+     if (CounterAnimator.supportsColorMix) {
+         const percent = Math.round(Math.min(Math.max(progress, 0), 1) * 1000) / 10;
+         return `color-mix(in srgb, ${from}, ${to} ${percent}%)`;
+     } 
+     return this.interpolateColor(from, to, progress);
  }
    
  /**
-     * PURPOSE OF THE FUNCTION: Interpolates between two hex colors based on progress value for smooth color transitions.
+     * PURPOSE OF THE FUNCTION: Interpolates between two hex or rgb() colors based on progress value for smooth color transitions.
      * DESCRIPTION:
-     *    - Converts hex colors to RGB components for mathematical interpolation
+     *    - Converts hex (#rgb, #rrggbb) and rgb() colors to RGB components for mathematical interpolation
+     *    - Switches from the first to the second color halfway for other formats
      *    - Calculates intermediate color values based on animation progress
      *    - Provides smooth color transitions during counter animations
-     *    - Supports any two hex color values for flexible theming
      *    - Returns RGB color string for CSS compatibility
      *    - Essential for creating dynamic visual feedback during animations
      * 
@@ -1177,20 +5446,27 @@ class CounterAnimator {
      * @author syntax serenity <fs.developerfullstack@gmail.com>
  */
  interpolateColor(color1, color2, progress) {
-     const hex1 = color1.replace('#', '');
-     const hex2 = color2.replace('#', '');
-     
-     const r1 = parseInt(hex1.substr(0, 2), 16);
-     const g1 = parseInt(hex1.substr(2, 2), 16);
-     const b1 = parseInt(hex1.substr(4, 2), 16);
-     
-     const r2 = parseInt(hex2.substr(0, 2), 16);
-     const g2 = parseInt(hex2.substr(2, 2), 16);
-     const b2 = parseInt(hex2.substr(4, 2), 16);
-     
-     const r = Math.round(r1 + (r2 - r1) * progress);
-     const g = Math.round(g1 + (g2 - g1) * progress);
-     const b = Math.round(b1 + (b2 - b1) * progress);
+     const toRgb = color => {
+         const value = color.trim();
+         const rgb = value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i);
+         if (rgb) {
+             return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3])];
+         } 
+         let hex = value.replace('#', '');
+         if (/^[0-9a-f]{3}$/i.test(hex)) {
+             hex = hex.split('').map(digit => digit + digit).join('');
+         } 
+         return /^[0-9a-f]{6}/i.test(hex)
+             ? [parseInt(hex.substr(0, 2), 16), parseInt(hex.substr(2, 2), 16), parseInt(hex.substr(4, 2), 16)]
+             : null;
+     };
+     const rgb1 = toRgb(color1);
+     const rgb2 = toRgb(color2); 
+     // Unsupported formats switch halfway instead of blending
+     if (!rgb1 || !rgb2) {
+         return progress < 0.5 ? color1 : color2;
+     } 
+     const [r, g, b] = rgb1.map((channel, index) => Math.round(channel + (rgb2[index] - channel) * progress));
      
      return `rgb(${r}, ${g}, ${b})`;
  }
@@ -1224,8 +5500,8 @@ function createCounterAnimator(options) { return new CounterAnimator(options);}
  * DESCRIPTION:
  *    - Provides a one-line solution for quick counter animations
  *    - Creates a CounterAnimator instance with specified options
- *    - Automatically starts animation for all matching elements
- *    - Returns the animator instance for further control
+ *    - Registers and immediately animates all matching elements
+ *    - Returns the animator instance for further control, with a finished Promise for the whole run
  *    - Ideal for simple use cases without complex configuration
  *    - Essential for rapid prototyping and simple implementations
  * 
@@ -1237,7 +5513,7 @@ function createCounterAnimator(options) { return new CounterAnimator(options);}
  * 
  * @param {string} selector CSS selector for elements to animate (defaults to '.counter')
  * @param {Object} options Configuration options for the animation
- * @return {CounterAnimator} Returns the CounterAnimator instance for further control
+ * @return {CounterAnimator} Returns the CounterAnimator instance (animator.finished resolves when all counters end)
  * 
  * @link https://developer.mozilla.org/en-US/docs/Web/CSS/CSS_selectors
  * @author syntax serenity <fs.developerfullstack@gmail.com>
@@ -1248,10 +5524,177 @@ function animateCounters(selector = '.counter', options = {}) {
      ...options,
      autoStart: false
  });
- animator.animateAll();
+ animator.init();
+ animator.finished = animator.animateAll();
  return animator;
 }
    
+/**
+ * PURPOSE OF THE FUNCTION: Returns the shared DOM-free CounterAnimator used by the headless helpers.
+ * DESCRIPTION:
+ *    - Creates the instance lazily with autoStart disabled, so no document or window is touched
+ *    - Gives parseCounterValue(), formatCounterValue() and tween() access to the parsing, formatting and easing engine
+ *    - Keeps the Intl.NumberFormat and locale caches across calls
+ * 
+ * DEPENDENCIES:
+ *    - CounterAnimator class constructor
+ * 
+ * @return {CounterAnimator} Returns the headless instance
+ * 
+ * @author syntax serenity <fs.developerfullstack@gmail.com>
+*/
+function getHeadlessAnimator() {
+ if (!getHeadlessAnimator.instance) {
+     getHeadlessAnimator.instance = new CounterAnimator({ autoStart: false, reducedMotion: 'never' });
+ } 
+ return getHeadlessAnimator.instance;
+}
+   
+/**
+ * PURPOSE OF THE FUNCTION: Resolves headless number format options against the library defaults.
+ * DESCRIPTION:
+ *    - Accepts a preset name (getPresetFormats() key) or a partial numberFormat object
+ *    - Fills the missing fields (abbreviations included) with the default numberFormat
+ * 
+ * DEPENDENCIES:
+ *    - getHeadlessAnimator() for the defaults
+ *    - CounterAnimator.getPresetFormats() for preset names
+ * 
+ * @param {string|Object} numberFormat A preset name or a partial numberFormat object
+ * @return {Object} Returns the complete numberFormat object
+ * 
+ * @author syntax serenity <fs.developerfullstack@gmail.com>
+*/
+function resolveHeadlessFormat(numberFormat = {}) {
+ const preset = typeof numberFormat === 'string' ? CounterAnimator.getPresetFormats()[numberFormat.toLowerCase()] : numberFormat;
+ return CounterAnimator.mergeConfig({ numberFormat: getHeadlessAnimator().defaults.numberFormat }, { numberFormat: preset }).numberFormat;
+}
+   
+/**
+ * PURPOSE OF THE FUNCTION: Parses a counter text into a number without a DOM.
+ * DESCRIPTION:
+ *    - Uses the same engine as the counters (digit normalization, inputLocale, smart detection)
+ *    - Runs in Node, workers and SSR code, and in unit tests without jsdom
+ * 
+ * DEPENDENCIES:
+ *    - getHeadlessAnimator() for extractNumber()
+ *    - resolveHeadlessFormat() for the number format
+ * 
+ * @param {string} text The text to parse (ex: "Kz 1 250,50")
+ * @param {string|Object} numberFormat Optional preset name or partial numberFormat object
+ * @return {number} Returns the parsed value or 0 if none found
+ * 
+ * @author syntax serenity <fs.developerfullstack@gmail.com>
+*/
+function parseCounterValue(text, numberFormat = {}) {
+ return getHeadlessAnimator().extractNumber(String(text), resolveHeadlessFormat(numberFormat));
+}
+   
+/**
+ * PURPOSE OF THE FUNCTION: Formats a value exactly like a counter would display it, without a DOM.
+ * DESCRIPTION:
+ *    - Uses formatValue() with the given options (numberFormat, formatNumber, prefix, suffix)
+ *    - Accepts a preset name as numberFormat
+ *    - Useful to pre-render the final value of counters on the server
+ * 
+ * DEPENDENCIES:
+ *    - getHeadlessAnimator() for formatValue()
+ *    - resolveHeadlessFormat() for the number format
+ * 
+ * @param {number} value The value to format
+ * @param {Object} options Optional options ({ numberFormat, formatNumber, prefix, suffix })
+ * @return {string} Returns the formatted text, including prefix and suffix
+ * 
+ * @author syntax serenity <fs.developerfullstack@gmail.com>
+*/
+function formatCounterValue(value, options = {}) {
+ const animator = getHeadlessAnimator();
+ const config = {
+     ...animator.config,
+     ...options,
+     numberFormat: resolveHeadlessFormat(options.numberFormat)
+ };
+ return (options.prefix || '') + animator.formatValue(Number(value), config) + (options.suffix || '');
+}
+   
+/**
+ * PURPOSE OF THE FUNCTION: Runs a DOM-free counter timeline that reports the eased value of every frame.
+ * DESCRIPTION:
+ *    - Interpolates from one value to another over a duration with any effect accepted by the effect option
+ *    - Uses the shared frame ticker when requestAnimationFrame exists, timers otherwise (Node)
+ *    - Reports the exact target value on the last frame
+ *    - Logs errors thrown by onFrame and onComplete and keeps running, so the Promise always settles
+ *    - Returns a controller with a finished Promise ({ value, status }) and a cancel() method
+ * 
+ * DEPENDENCIES:
+ *    - getHeadlessAnimator() for getEasing()
+ *    - CounterAnimator.requestFrame() / cancelFrame() for the shared ticker
+ *    - setTimeout as fallback scheduler
+ * 
+ * @param {Object} options The timeline options ({ from, to, duration, effect, onFrame(value, progress), onComplete(value) })
+ * @return {Object} Returns the controller ({ finished, cancel })
+ * 
+ * @author syntax serenity <fs.developerfullstack@gmail.com>
+*/
+function tween({ from = 0, to = 0, duration = 2000, effect = 'easeOutCubic', onFrame = null, onComplete = null } = {}) {
+ const easing = getHeadlessAnimator().getEasing(effect) || CounterAnimator.getEasings().easeOutCubic;
+ const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+ const useTicker = typeof requestAnimationFrame === 'function';
+ const startTime = now();
+ let handle = null;
+ let current = from;
+ let settle;
+ const finished = new Promise(resolve => {
+     settle = resolve;
+ });
+ const schedule = () => {
+     handle = useTicker
+         ? CounterAnimator.requestFrame({ notify: step })
+         : setTimeout(() => step(now()), 16);
+ };
+ // A throwing callback must not stall the timeline or leave its Promise pending
+ const report = callback => {
+     try {
+         callback();
+     } catch (error) {
+         console.error('CounterAnimator: error in a tween callback', error);
+     }
+ };
+ const step = time => {
+     const progress = duration > 0 ? Math.min(Math.max((time - startTime) / duration, 0), 1) : 1;
+     current = progress === 1 ? to : from + (to - from) * easing(progress);
+     if (onFrame) {
+         report(() => onFrame(current, progress));
+     } 
+     if (progress < 1) {
+         schedule();
+         return;
+     } 
+     handle = null;
+     if (onComplete) {
+         report(() => onComplete(to));
+     } 
+     settle({ value: to, status: 'completed' });
+ };
+ schedule();
+ 
+ return {
+     finished,
+     cancel() {
+         if (handle === null) {
+             return;
+         } 
+         if (useTicker) {
+             CounterAnimator.cancelFrame(handle);
+         } else {
+             clearTimeout(handle);
+         } 
+         handle = null;
+         settle({ value: current, status: 'cancelled' });
+     }
+ };
+}
+   
 /**
  * PURPOSE OF THE SECTION: Exports the CounterAnimator library for use in different JavaScript environments.
  * DESCRIPTION:
@@ -1271,7 +5714,14 @@ function animateCounters(selector = '.counter', options = {}) {
  * @author syntax serenity <fs.developerfullstack@gmail.com>
 */
 if (typeof module !== 'undefined' && module.exports) {
- module.exports = { CounterAnimator, createCounterAnimator, animateCounters };
+ module.exports = {
+     CounterAnimator,
+     createCounterAnimator,
+     animateCounters,
+     parseCounterValue,
+     formatCounterValue,
+     tween
+ };
 }
    
 /**
@@ -0,0 +1,106 @@
+/**
+ * PURPOSE OF THE FILE: Checks that a counter whose callback throws is still finished (Promise, aria-busy, width lock).
+ * DESCRIPTION:
+ *    - Runs in Node with node:test and a minimal element stub, frames are advanced by hand
+ *    - Covers onComplete throwing in animateElement() and onFrame throwing in tween()
+ * 
+ * @link https://nodejs.org/api/test.html
+ * @author syntax serenity <fs.developerfullstack@gmail.com>
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Frames run when runFrames() is called
+const frames = [];
+let time = 0;
+global.requestAnimationFrame = callback => frames.push(callback);
+global.cancelAnimationFrame = () => {};
+global.performance = { now: () => time };
+global.window = {};
+global.document = { querySelectorAll: () => [] };
+
+const runFrames = (duration, step = 16) => {
+    for (const end = time + duration; time < end;) {
+        time += step;
+        frames.splice(0).forEach(callback => callback(time));
+    }
+};
+
+const createElement = text => {
+    const attributes = {};
+    const properties = {};
+    return {
+        nodeType: 1,
+        textContent: text,
+        dataset: {},
+        style: {
+            getPropertyValue: property => (properties[property] || [''])[0],
+            getPropertyPriority: property => (properties[property] || ['', ''])[1],
+            setProperty: (property, value, priority = '') => { properties[property] = [value, priority]; },
+            removeProperty: property => { delete properties[property]; }
+        },
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        getAttribute: name => (name in attributes ? attributes[name] : null),
+        hasAttribute: name => name in attributes,
+        setAttribute: (name, value) => { attributes[name] = String(value); },
+        removeAttribute: name => { delete attributes[name]; },
+        dispatchEvent: () => true
+    };
+};
+
+const { CounterAnimator, tween } = require('../src/counterAnimator.js');
+
+test('a throwing onComplete still settles the animation and clears aria-busy', async () => {
+    const errors = [];
+    const error = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+        const element = createElement('100');
+        const animator = new CounterAnimator({
+            selector: [element],
+            autoStart: false,
+            duration: 100,
+            visualEffect: false,
+            onComplete: () => {
+                throw new Error('callback failure');
+            }
+        });
+        animator.init();
+        const finished = animator.animateElement(element);
+        runFrames(200);
+        
+        assert.deepStrictEqual(await finished, { element, value: 100, status: 'completed' });
+        assert.strictEqual(element.getAttribute('aria-busy'), null);
+        assert.strictEqual(element.textContent, '100');
+        assert.strictEqual(animator.animations.size, 0);
+        assert.strictEqual(errors.length, 1);
+    } finally {
+        console.error = error;
+    }
+});
+
+test('a throwing tween onFrame still settles the timeline', async () => {
+    const errors = [];
+    const error = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+        const values = [];
+        const timeline = tween({
+            from: 0,
+            to: 10,
+            duration: 50,
+            onFrame: value => {
+                values.push(value);
+                throw new Error('callback failure');
+            }
+        });
+        runFrames(100);
+        
+        assert.deepStrictEqual(await timeline.finished, { value: 10, status: 'completed' });
+        assert.strictEqual(values[values.length - 1], 10);
+        assert.ok(errors.length > 0);
+    } finally {
+        console.error = error;
+    }
+});